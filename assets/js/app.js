@@ -4,12 +4,20 @@ const APP_CONFIG = {
   version: "2.0.0",
   description:
     "Manage your One Pace collection with metadata updates and poster management",
+  maxLogEntries: 5000,
+  crcWorkerUrl: "assets/js/crc32-worker.js",
+  // Fuzzy arc matches at or above this score are used without asking
+  arcMatchThreshold: 0.85,
+  arcSuggestThreshold: 0.4,
 };
 
 const API_CONFIG = {
   plex: {
     signInUrl: "https://plex.tv/users/sign_in.xml",
-    serversUrl: "https://plex.tv/pms/servers",
+    pinsUrl: "https://plex.tv/api/v2/pins",
+    linkUrl: "https://plex.tv/link",
+    pinPollInterval: 2000,
+    resourcesUrl: "https://plex.tv/api/v2/resources",
     headers: {
       "X-Plex-Version": "1.1.2",
       "X-Plex-Product": "OnePace",
@@ -17,6 +25,7 @@ const API_CONFIG = {
       "Content-Type": "application/xml",
     },
     timeout: 30000,
+    probeTimeout: 5000,
   },
   googleSheets: {
     baseUrl: "https://docs.google.com/spreadsheets/d",
@@ -33,37 +42,122 @@ const API_CONFIG = {
       gid: "0",
     },
   },
+  mediaServer: {
+    client: "OnePace",
+    device: "Browser",
+    deviceId: "onepace-manager",
+  },
   github: {
     assetsUrl:
       "https://github.com/SpykerNZ/one-pace-for-plex/archive/refs/heads/main.zip",
   },
-  corsProxy: "https://api.allorigins.win/raw?url=",
+  // Self-hosted proxy from proxy/cors-proxy.js, configured in the UI
+  corsProxy: "",
+  requests: {
+    concurrency: 4,
+    maxConcurrency: 8,
+    maxRetries: 3,
+    retryBaseDelay: 500,
+    retryStatuses: [429, 500, 502, 503, 504],
+  },
+};
+
+// Jellyfin and Emby share one API shape; the key doubles as the element id prefix
+const MEDIA_SERVERS = {
+  jellyfin: { name: "Jellyfin", defaultPort: "8096" },
+  emby: { name: "Emby", defaultPort: "8096" },
 };
 
+// Release names look like "[One Pace][1-7] Romance Dawn 01 [1080p][E6DA6C7B].mkv";
+// tags are stripped and classified first, then the rest is "<Arc> <NN> [title]"
 const FILE_PATTERNS = {
-  onePace:
-    /\[(?<episodes>\d+(?:-\d+)?)\]\s+(?<arc>.+?)\s+(?<episode>\d{1,2})(?:\s+(?<title>.+?))?\./i,
+  bracketTag: /[[(]([^\])]*)[\])]/g,
+  // Anime episodes run to four digits; an all-digit CRC like [12345678] has 8
+  episodeRange: /^\d{1,4}(?:-\d{1,4})?$/,
+  crc: /^[0-9a-f]{8}$/i,
+  resolution: /^(?:\d{3,4}p|4k|uhd)$/i,
+  variant:
+    /\b(?<variant>extended|alternate|alt)\b(?:\s+(?:cut|version|edition))?/i,
+  version: /\bv(?<version>\d)\b/i,
+  // The episode is the last number in a run, so "Water 7 01" is arc "Water 7"
+  arcEpisode:
+    /^(?<arc>.+?)\s+(?<episode>\d{1,2})(?!\s+\d{1,2}(?:\s|$))(?:\s+(?<title>.+))?$/,
   season: /S(?<season>\d{1,2})E(?<episode>\d{1,2})/i,
+  seasonFolder: /^season\s*(?<season>\d{1,2})(?:\D|$)/i,
+  specials: /^(?:season[\s-]*)?specials?(?:\W|$)/i,
+};
+
+const VIDEO_EXTENSIONS = [
+  ".mkv",
+  ".mp4",
+  ".avi",
+  ".m4v",
+  ".mov",
+  ".wmv",
+  ".flv",
+  ".webm",
+];
+
+// Rename templates; "/" separates folders, the extension is always kept
+const RENAME_PRESETS = {
+  default: "Season {ss}/{show} - S{ss}E{ee} - {title} ({variant})",
+  plex: "Season {ss}/{show} - s{ss}e{ee} - {title} ({variant})",
+  jellyfin: "Season {ss}/{show} S{ss}E{ee} - {title} ({variant})",
+  kodi: "Season {season}/{show} S{ss}E{ee} {title} ({variant})",
+  // Multi-episode names for libraries in original (absolute) anime order
+  anime: "Season {ss}/{show} - S{ss}{range:3} - {title} ({variant})",
+};
+
+const ASSET_TYPES = {
+  posters: [".jpg", ".jpeg", ".png", ".webp"],
+  metadata: [".nfo", ".json", ".yml", ".yaml", ".xml", ".txt"],
 };
 
 // Utility Functions
 const Utils = {
+  // All server traffic goes through the shared scheduler for limits and retries.
+  // cancellable: false keeps a request (e.g. PIN sign-in) out of Stop.
   async fetchWithCORS(url, options = {}) {
+    const { cancellable = true, ...fetchOptions } = options;
+    return await RequestScheduler.schedule(
+      (signal) => this.fetchDirectOrProxied(url, { signal, ...fetchOptions }),
+      { method: fetchOptions.method || "GET", cancellable }
+    );
+  },
+
+  async fetchDirectOrProxied(url, options) {
     try {
-      const response = await fetch(url, options);
-      if (response.ok || response.status === 401) {
-        return response;
-      }
-      throw new Error(`HTTP ${response.status}`);
+      return this.checkStatus(await fetch(url, options));
     } catch (error) {
       if (error.message.includes("CORS") || error.name === "TypeError") {
-        const proxyUrl = API_CONFIG.corsProxy + encodeURIComponent(url);
-        return await fetch(proxyUrl, options);
+        if (!API_CONFIG.corsProxy) {
+          throw new Error(
+            `${error.message} - request was blocked or unreachable; configure a CORS proxy to route it`
+          );
+        }
+        return this.checkStatus(await fetch(this.proxyUrl(url), options));
       }
       throw error;
     }
   },
 
+  // Throws a status error the scheduler can retry; 401s are left to the caller
+  checkStatus(response) {
+    if (response.ok || response.status === 401) {
+      return response;
+    }
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    const retryAfter = parseInt(response.headers.get("Retry-After"));
+    if (!isNaN(retryAfter)) error.retryAfter = retryAfter * 1000;
+    throw error;
+  },
+
+  proxyUrl(url) {
+    const base = API_CONFIG.corsProxy.replace(/\/$/, "");
+    return `${base}/?url=${encodeURIComponent(url)}`;
+  },
+
   parseXML(xmlString) {
     const parser = new DOMParser();
     const xmlDoc = parser.parseFromString(xmlString, "text/xml");
@@ -74,25 +168,246 @@ const Utils = {
     return xmlDoc;
   },
 
+  parseCSVRows(csvText) {
+    // RFC 4180: quoted fields may contain commas, line breaks and "" escapes
+    const text = csvText.replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else if (char !== "\r" || text[i + 1] !== "\n") {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\r" || char === "\n") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error("CSV parsing error: unterminated quoted field");
+    }
+
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter((values) => values.some((value) => value.trim()));
+  },
+
   parseCSV(csvText) {
-    const lines = csvText.split("\n").filter((line) => line.trim());
-    if (lines.length < 2) return [];
+    const rows = this.parseCSVRows(csvText);
+    if (rows.length < 2) return [];
 
-    const headers = lines[0].split(",").map((h) => h.trim().replace(/"/g, ""));
-    return lines.slice(1).map((line) => {
-      const values = line.split(",").map((v) => v.trim().replace(/"/g, ""));
+    const headers = rows[0].map((h) => h.trim());
+    return rows.slice(1).map((values) => {
       const obj = {};
       headers.forEach((header, index) => {
-        obj[header] = values[index] || "";
+        obj[header] = (values[index] || "").trim();
       });
       return obj;
     });
   },
 
+  toCSV(rows, columns) {
+    const escape = (value) => {
+      const text = value == null ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+      .map((values) => values.map(escape).join(","))
+      .join("\r\n");
+  },
+
+  // "Whisky Peak!" and "whisky  peak" compare equal; accents and & are folded
+  normalizeTitle(text) {
+    return text
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/&/g, " and ")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  },
+
+  // 0..1; the better of bigram overlap (tolerates reordering) and edit
+  // distance (tolerates typos like "Whiskey" for "Whisky")
+  similarity(a, b) {
+    const textA = a.toLowerCase().replace(/[^a-z0-9]/g, "");
+    const textB = b.toLowerCase().replace(/[^a-z0-9]/g, "");
+    if (textA.length < 2 || textB.length < 2) return textA === textB ? 1 : 0;
+
+    const bigrams = (text) => {
+      const pairs = [];
+      for (let i = 0; i < text.length - 1; i++) {
+        pairs.push(text.substring(i, i + 2));
+      }
+      return pairs;
+    };
+
+    const pairsA = bigrams(textA);
+    const remaining = bigrams(textB);
+    const total = pairsA.length + remaining.length;
+    let matches = 0;
+    pairsA.forEach((pair) => {
+      const index = remaining.indexOf(pair);
+      if (index !== -1) {
+        matches++;
+        remaining.splice(index, 1);
+      }
+    });
+    const dice = (2 * matches) / total;
+
+    const distance = this.editDistance(textA, textB);
+    const editScore = 1 - distance / Math.max(textA.length, textB.length);
+
+    return Math.max(dice, editScore);
+  },
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  },
+
+  formatEpisodeCode(season, episode) {
+    return `S${season.toString().padStart(2, "0")}E${episode
+      .toString()
+      .padStart(2, "0")}`;
+  },
+
+  crc32(bytes, crc = 0) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let value = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+      value = this.crcTable[(value ^ bytes[i]) & 0xff] ^ (value >>> 8);
+    }
+    return ~value >>> 0;
+  },
+
+  // SFV ("name CRC") or "CRC name" lines; ";" starts a comment
+  parseChecksumList(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith(";")) return;
+
+      const match =
+        /^(?<fileName>.+?)\s+(?<crc>[0-9a-f]{8})$/i.exec(line) ||
+        /^(?<crc>[0-9a-f]{8})\s+\*?(?<fileName>.+)$/i.exec(line);
+      if (match) {
+        entries.push({
+          fileName: match.groups.fileName.trim(),
+          crc: match.groups.crc.toUpperCase(),
+        });
+      }
+    });
+    return entries;
+  },
+
+  escapeXML(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  },
+
+  hashString(text) {
+    // FNV-1a; only used to tell whether sheet contents changed
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv-${(hash >>> 0).toString(16)}-${text.length}`;
+  },
+
+  downloadFile(content, filename, type = "application/json") {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
   formatDate(date) {
     return new Date(date).toISOString().split("T")[0];
   },
 
+  // "1-3" or "45, 47-48" → [1, 2, 3] / [45, 47, 48]
+  parseNumberRange(text) {
+    const numbers = new Set();
+    (String(text || "").match(/\d+(?:\s*[-–]\s*\d+)?/g) || []).forEach(
+      (part) => {
+        const [start, end = start] = part
+          .split(/[-–]/)
+          .map((number) => parseInt(number));
+        for (
+          let number = start;
+          number <= end && number - start < 100;
+          number++
+        )
+          numbers.add(number);
+      }
+    );
+    return Array.from(numbers).sort((a, b) => a - b);
+  },
+
+  padNumber(value, width) {
+    return /^\d+$/.test(String(value))
+      ? String(value).padStart(width, "0")
+      : value;
+  },
+
   sanitizeFilename(filename) {
     return filename.replace(/[\\/:*?"<>|]/g, "").trim();
   },
@@ -146,1366 +461,5640 @@ const Storage = {
   },
 };
 
-// API Classes
-class PlexAPI {
-  constructor() {
-    this.token = null;
-    this.baseHeaders = API_CONFIG.plex.headers;
-  }
-
-  async authenticate(username, password) {
-    const base64Auth = btoa(`${username}:${password}`);
+// Request Scheduler
+// Limits concurrent server requests, retries 429/5xx responses with backoff
+// and shares one AbortController so Stop cancels the running operation
+const RequestScheduler = {
+  concurrency: API_CONFIG.requests.concurrency,
+  active: 0,
+  queue: [],
+  controller: new AbortController(),
+
+  setConcurrency(value) {
+    this.concurrency = Utils.clamp(
+      parseInt(value) || 1,
+      1,
+      API_CONFIG.requests.maxConcurrency
+    );
+    this.next();
+    return this.concurrency;
+  },
 
-    const response = await Utils.fetchWithCORS(API_CONFIG.plex.signInUrl, {
-      method: "POST",
-      headers: {
-        ...this.baseHeaders,
-        Authorization: `Basic ${base64Auth}`,
-      },
+  schedule(task, { method = "GET", cancellable = true } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, method, cancellable, resolve, reject });
+      this.next();
     });
+  },
 
-    if (!response.ok) {
-      throw new Error(`Authentication failed: ${response.status}`);
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, method, cancellable, resolve, reject } = this.queue.shift();
+      const signal = cancellable
+        ? this.controller.signal
+        : new AbortController().signal;
+      this.active++;
+      this.runWithRetry(task, signal, method)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
     }
+  },
 
-    const xmlText = await response.text();
-    const xmlDoc = Utils.parseXML(xmlText);
-    const userElement = xmlDoc.querySelector("user");
+  // A 5xx on a POST/PUT may have been applied already, so only 429 (never
+  // processed) is retried for requests that aren't safe to repeat
+  isRetryable(error, method) {
+    const { retryStatuses } = API_CONFIG.requests;
+    if (!retryStatuses.includes(error.status)) return false;
+    return (
+      ["GET", "HEAD"].includes(method.toUpperCase()) || error.status === 429
+    );
+  },
 
-    if (!userElement) {
-      throw new Error("No user element in response");
-    }
+  async runWithRetry(task, signal, method = "GET") {
+    const { maxRetries, retryBaseDelay } = API_CONFIG.requests;
 
-    const authToken = userElement.getAttribute("authToken");
-    if (!authToken) {
-      throw new Error("No auth token in response");
+    for (let attempt = 0; ; attempt++) {
+      if (signal.aborted) throw this.abortError();
+
+      try {
+        return await task(signal);
+      } catch (error) {
+        if (!this.isRetryable(error, method) || attempt >= maxRetries) {
+          throw error;
+        }
+        const backoff =
+          retryBaseDelay * 2 ** attempt + Math.random() * retryBaseDelay;
+        await this.wait(error.retryAfter ?? backoff, signal);
+      }
     }
+  },
 
-    this.token = authToken;
-    return {
-      token: authToken,
-      user: {
-        id: userElement.getAttribute("id"),
-        username: userElement.getAttribute("username"),
-        email: userElement.getAttribute("email"),
-      },
-    };
-  }
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.abortError());
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
+  },
 
-  async getServers() {
-    if (!this.token) {
-      throw new Error("Not authenticated - no token available");
-    }
+  // Abort running requests and drop queued ones; later requests start fresh
+  cancel() {
+    this.controller.abort();
+    this.controller = new AbortController();
+    const error = this.abortError();
+    const cancelled = this.queue.filter((entry) => entry.cancellable);
+    this.queue = this.queue.filter((entry) => !entry.cancellable);
+    cancelled.forEach(({ reject }) => reject(error));
+  },
 
-    const url = `${API_CONFIG.plex.serversUrl}?X-Plex-Token=${this.token}`;
-    const response = await Utils.fetchWithCORS(url);
+  abortError() {
+    return new DOMException("Operation cancelled", "AbortError");
+  },
+};
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch servers: ${response.status}`);
+// Sheet Cache (IndexedDB)
+const SheetCache = {
+  dbName: "onePaceManager",
+  storeName: "sheets",
+  sheetNames: ["seasonMapping", "episodeData", "releaseData"],
+  snapshotPrefix: "snapshot:",
+  dbPromise: null,
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: "name" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
     }
+    return this.dbPromise;
+  },
 
-    const xmlText = await response.text();
-    const xmlDoc = Utils.parseXML(xmlText);
+  async transaction(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  },
 
-    return Array.from(xmlDoc.querySelectorAll("Server")).map((server) => ({
-      name: server.getAttribute("name"),
-      address: server.getAttribute("address"),
-      port: server.getAttribute("port"),
-      version: server.getAttribute("version"),
-      accessToken: server.getAttribute("accessToken"),
-      scheme: server.getAttribute("scheme") || "http",
-      owned: server.getAttribute("owned") === "1",
-    }));
-  }
+  async get(name) {
+    return (
+      (await this.transaction("readonly", (store) => store.get(name))) || null
+    );
+  },
 
-  async searchShows(server, query) {
-    const searchUrl = `${server.scheme}://${server.address}:${
-      server.port
-    }/search?query=${encodeURIComponent(query)}&X-Plex-Token=${this.token}`;
-    const response = await Utils.fetchWithCORS(searchUrl);
+  // Live copies are keyed by sheet name and the pinned snapshot by
+  // "snapshot:<name>", so a live fetch never overwrites the snapshot
+  async getAll(prefix = "") {
+    const records = await this.transaction("readonly", (store) =>
+      store.getAll()
+    );
+    const byKey = new Map(records.map((record) => [record.name, record]));
+    return Object.fromEntries(
+      this.sheetNames
+        .filter((name) => byKey.has(prefix + name))
+        .map((name) => [name, { ...byKey.get(prefix + name), name }])
+    );
+  },
 
-    if (!response.ok) {
-      throw new Error(`Search failed: ${response.status}`);
-    }
+  async getSnapshot() {
+    return this.getAll(this.snapshotPrefix);
+  },
 
-    const xmlText = await response.text();
-    const xmlDoc = Utils.parseXML(xmlText);
+  async put(record) {
+    await this.transaction("readwrite", (store) => store.put(record));
+  },
 
-    return Array.from(xmlDoc.querySelectorAll('Directory[type="show"]')).map(
-      (show) => ({
-        title: show.getAttribute("title"),
-        ratingKey: show.getAttribute("ratingKey"),
-        year: show.getAttribute("year"),
-        summary: show.getAttribute("summary"),
-        thumb: show.getAttribute("thumb"),
-      })
-    );
-  }
+  async putSnapshot(record) {
+    await this.put({ ...record, name: this.snapshotPrefix + record.name });
+  },
+};
 
-  async getShowMetadata(server, ratingKey) {
-    const seasonsUrl = `${server.scheme}://${server.address}:${server.port}/library/metadata/${ratingKey}/children?X-Plex-Token=${this.token}`;
-    const response = await Utils.fetchWithCORS(seasonsUrl);
+// Undo Journal
+const UndoJournal = {
+  storageKey: "onePace_undoJournal",
+  maxRuns: 10,
+  // Previous descriptions add up; the oldest runs go first past this size
+  maxSize: 1024 * 1024,
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch seasons: ${response.status}`);
-    }
+  getRuns() {
+    return Storage.get(this.storageKey, []);
+  },
 
-    const xmlText = await response.text();
-    const xmlDoc = Utils.parseXML(xmlText);
+  getLastRun() {
+    const runs = this.getRuns();
+    return runs[runs.length - 1] || null;
+  },
 
-    const seasons = Array.from(
-      xmlDoc.querySelectorAll('Directory[type="season"]')
-    )
-      .filter((season) => season.getAttribute("title") !== "All episodes")
-      .map((season) => ({
-        id: season.getAttribute("ratingKey"),
-        title: season.getAttribute("title"),
-        number: parseInt(season.getAttribute("index")),
-        summary: season.getAttribute("summary"),
-        thumb: season.getAttribute("thumb"),
-        episodes: [],
-      }));
+  getRun(id) {
+    return this.getRuns().find((run) => run.id === id) || null;
+  },
 
-    // Get episodes for each season
-    for (const season of seasons) {
-      const episodesUrl = `${server.scheme}://${server.address}:${server.port}/library/metadata/${season.id}/children?X-Plex-Token=${this.token}`;
-      const episodesResponse = await Utils.fetchWithCORS(episodesUrl);
+  startRun(type, details = {}) {
+    return {
+      id: `${Date.now().toString(36)}-${type}`,
+      type,
+      startedAt: new Date().toISOString(),
+      ...details,
+      entries: [],
+    };
+  },
 
-      if (episodesResponse.ok) {
-        const episodesXml = await episodesResponse.text();
-        const episodesDoc = Utils.parseXML(episodesXml);
+  // Runs are persisted on their first entry so an interrupted run can still be undone
+  record(run, entry) {
+    run.entries.push(entry);
+    return this.saveRun(run);
+  },
 
-        season.episodes = Array.from(episodesDoc.querySelectorAll("Video")).map(
-          (episode) => ({
-            id: episode.getAttribute("ratingKey"),
-            title: episode.getAttribute("title"),
-            number: parseInt(episode.getAttribute("index")),
-            summary: episode.getAttribute("summary"),
-            originallyAvailableAt: episode.getAttribute(
-              "originallyAvailableAt"
-            ),
-            thumb: episode.getAttribute("thumb"),
-          })
-        );
-      }
+  // Returns false when storage is full; the change itself still happened
+  saveRun(run) {
+    const runs = this.getRuns().filter((existing) => existing.id !== run.id);
+    if (run.entries.length > 0) runs.push(run);
+
+    let kept = runs.slice(-this.maxRuns);
+    while (kept.length > 1 && JSON.stringify(kept).length > this.maxSize) {
+      kept = kept.slice(1);
     }
 
-    return { seasons };
-  }
+    try {
+      Storage.set(this.storageKey, kept);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+};
 
-  async updateMetadata(server, itemId, updates) {
-    const params = new URLSearchParams();
-    if (updates.title) params.append("title", updates.title);
-    if (updates.summary) params.append("summary", updates.summary);
-    if (updates.originallyAvailableAt)
-      params.append("originallyAvailableAt", updates.originallyAvailableAt);
+// Checksum Worker
+// Hashes files in assets/js/crc32-worker.js; falls back to the main thread
+// where workers are unavailable (e.g. the page was opened from file://)
+const ChecksumWorker = {
+  worker: null,
+  pending: new Map(),
+  nextId: 1,
+  cancelled: false,
+  unavailable: false,
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(APP_CONFIG.crcWorkerUrl);
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      // A script that can't load only fails here, after the jobs were posted
+      this.worker.onerror = (event) => {
+        event.preventDefault?.();
+        this.worker = null;
+        this.unavailable = true;
+        this.retryInline();
+      };
+    }
+    return this.worker;
+  },
 
-    const updateUrl = `${server.scheme}://${server.address}:${
-      server.port
-    }/library/metadata/${itemId}?${params.toString()}&X-Plex-Token=${
-      this.token
-    }`;
+  retryInline() {
+    const jobs = Array.from(this.pending.values());
+    this.pending.clear();
+    jobs.forEach((job) =>
+      this.computeInline(job.file, job.onProgress).then(job.resolve, job.reject)
+    );
+  },
 
-    const response = await Utils.fetchWithCORS(updateUrl, {
-      method: "PUT",
-    });
+  handleMessage({ id, type, ...data }) {
+    const job = this.pending.get(id);
+    if (!job) return;
 
-    if (!response.ok) {
-      throw new Error(`Update failed: ${response.status}`);
+    if (type === "progress") {
+      job.onProgress?.(data.bytesRead / data.size);
+      return;
     }
-  }
 
-  async uploadPoster(server, itemId, imageData) {
-    const uploadUrl = `${server.scheme}://${server.address}:${server.port}/library/metadata/${itemId}/posters?X-Plex-Token=${this.token}`;
+    this.pending.delete(id);
+    if (type === "done") {
+      job.resolve(data.crc);
+    } else {
+      job.reject(new Error(data.message));
+    }
+  },
 
-    const response = await Utils.fetchWithCORS(uploadUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/octet-stream" },
-      body: imageData,
-    });
+  compute(file, onProgress) {
+    if (this.unavailable) return this.computeInline(file, onProgress);
 
-    if (!response.ok) {
-      throw new Error(`Poster upload failed: ${response.status}`);
+    let worker;
+    try {
+      worker = this.getWorker();
+    } catch (error) {
+      this.unavailable = true;
+      return this.computeInline(file, onProgress);
     }
-  }
-}
 
-class JellyfinAPI {
-  constructor() {
-    this.serverUrl = null;
-    this.apiKey = null;
-    this.userId = null;
-  }
-
-  async testConnection(serverUrl, apiKey) {
-    const url = serverUrl.replace(/\/$/, "") + "/System/Info/Public";
-    const response = await Utils.fetchWithCORS(url, {
-      headers: { "X-Emby-Token": apiKey },
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { file, resolve, reject, onProgress });
+      worker.postMessage({ id, file });
     });
+  },
 
-    if (!response.ok) {
-      throw new Error(`Connection test failed: ${response.status}`);
+  async computeInline(file, onProgress) {
+    const reader = file.stream().getReader();
+    let crc = 0;
+    let bytesRead = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (this.cancelled) {
+        reader.cancel();
+        throw new DOMException("Operation cancelled", "AbortError");
+      }
+      crc = Utils.crc32(value, crc);
+      bytesRead += value.length;
+      onProgress?.(bytesRead / file.size);
     }
 
-    const data = await response.json();
-    this.serverUrl = serverUrl.replace(/\/$/, "");
-    this.apiKey = apiKey;
-
-    return {
-      serverName: data.ServerName,
-      version: data.Version,
-      id: data.Id,
-    };
-  }
+    return crc.toString(16).toUpperCase().padStart(8, "0");
+  },
 
-  async getUsers() {
-    if (!this.serverUrl || !this.apiKey) {
-      throw new Error("Not connected to Jellyfin server");
-    }
+  // Stop hashing now; a fresh worker is started for the next file
+  cancel() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.cancelled = true;
+    this.failAll(new DOMException("Operation cancelled", "AbortError"));
+  },
 
-    const url = this.serverUrl + "/Users";
-    const response = await Utils.fetchWithCORS(url, {
-      headers: { "X-Emby-Token": this.apiKey },
-    });
+  reset() {
+    this.cancelled = false;
+  },
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch users: ${response.status}`);
-    }
+  failAll(error) {
+    this.pending.forEach((job) => job.reject(error));
+    this.pending.clear();
+  },
+};
 
-    const users = await response.json();
-    if (users.length > 0) {
-      this.userId = users[0].Id;
-    }
+// Arc Aliases
+// User-defined names for arcs, keyed by normalized alias → sheet arc title
+const ArcAliases = {
+  storageKey: "onePace_arcAliases",
 
-    return users;
-  }
+  getAll() {
+    return Storage.get(this.storageKey, {});
+  },
 
-  async searchShows(query) {
-    if (!this.userId) {
-      await this.getUsers();
-    }
+  get(name) {
+    return this.getAll()[Utils.normalizeTitle(name)] || null;
+  },
 
-    const url = `${this.serverUrl}/Users/${
-      this.userId
-    }/Items?SearchTerm=${encodeURIComponent(query)}&IncludeItemTypes=Series`;
-    const response = await Utils.fetchWithCORS(url, {
-      headers: { "X-Emby-Token": this.apiKey },
-    });
+  set(name, arcTitle) {
+    const aliases = this.getAll();
+    aliases[Utils.normalizeTitle(name)] = arcTitle;
+    Storage.set(this.storageKey, aliases);
+  },
 
-    if (!response.ok) {
-      throw new Error(`Search failed: ${response.status}`);
-    }
+  remove(name) {
+    const aliases = this.getAll();
+    delete aliases[name];
+    Storage.set(this.storageKey, aliases);
+  },
+};
 
-    const data = await response.json();
-    return data.Items.map((show) => ({
-      title: show.Name,
-      id: show.Id,
-      year: show.ProductionYear,
-      summary: show.Overview,
-    }));
-  }
-}
+// Rename Template
+// Fills "{token}" or "{token:N}" (zero-padded to N digits) placeholders.
+// Brackets left empty by a missing value are dropped with them.
+const RenameTemplate = {
+  storageKey: "onePace_renameTemplate",
+  tokens: [
+    "show",
+    "season",
+    "ss",
+    "episode",
+    "ee",
+    "range",
+    "first",
+    "last",
+    "title",
+    "arc",
+    "episodes",
+    "chapters",
+    "crc",
+    "resolution",
+    "variant",
+  ],
+
+  get() {
+    return Storage.get(this.storageKey, RENAME_PRESETS.default);
+  },
 
-class GoogleSheetsAPI {
-  async getSheetData(sheetConfig) {
-    const url = `${API_CONFIG.googleSheets.baseUrl}/${sheetConfig.sheetId}/export?format=csv&gid=${sheetConfig.gid}`;
-    const response = await Utils.fetchWithCORS(url);
+  save(template) {
+    Storage.set(this.storageKey, template);
+  },
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch sheet: ${response.status}`);
-    }
+  getPreset(template) {
+    return (
+      Object.keys(RENAME_PRESETS).find(
+        (key) => RENAME_PRESETS[key] === template
+      ) || "custom"
+    );
+  },
 
-    const csvText = await response.text();
-    return Utils.parseCSV(csvText);
-  }
+  validate(template) {
+    if (!template.trim()) return "Template is empty";
+
+    const unknown = Array.from(template.matchAll(/\{(\w+)(?::\d+)?\}/g))
+      .map((match) => match[1])
+      .filter((token) => !this.tokens.includes(token));
+    if (unknown.length > 0) return `Unknown tokens: ${unknown.join(", ")}`;
+
+    const segments = template.split("/");
+    if (segments.some((segment) => segment.trim() === ".."))
+      return "Folders can't point outside the media root";
+    if (
+      !/\{(?:episode|ee|range|first)(?::\d+)?\}/.test(
+        segments[segments.length - 1]
+      )
+    )
+      return "The file name needs {episode}, {ee} or {range} to stay unique";
 
-  async getSeasonMapping() {
-    return await this.getSheetData(API_CONFIG.googleSheets.seasonMapping);
-  }
+    return null;
+  },
 
-  async getEpisodeData() {
-    return await this.getSheetData(API_CONFIG.googleSheets.episodeData);
-  }
+  // values: { show, season, episode, title, arc, ... }; returns folder + name
+  render(template, values) {
+    const fill = (text) =>
+      text
+        .replace(/\{(\w+)(?::(\d+))?\}/g, (match, token, width) => {
+          if (token === "range") return this.formatRange(values, width || 2);
+          let value = values[token];
+          if (token === "ss") value = Utils.padNumber(values.season, 2);
+          if (token === "ee") value = Utils.padNumber(values.episode, 2);
+          if (value === null || value === undefined) return "";
+          if (width) value = Utils.padNumber(value, parseInt(width));
+          return Utils.sanitizeFilename(String(value));
+        })
+        .replace(/\s*(?:\[\s*\]|\(\s*\))/g, "")
+        .replace(/\s+/g, " ")
+        .replace(/[\s.-]+$/, "")
+        .trim();
+
+    const segments = template.split("/").map(fill);
+    const name = segments.pop();
+    return {
+      folder: segments.filter(Boolean).join("/"),
+      name,
+    };
+  },
 
-  async getReleaseData() {
-    return await this.getSheetData(API_CONFIG.googleSheets.releaseData);
-  }
+  // "E01", or "E01-E03" for a file that covers several episodes
+  formatRange(values, width) {
+    const first = values.first ?? values.episode;
+    const last = values.last ?? first;
+    if (first === null || first === undefined) return "";
 
-  async getAllData() {
-    const [seasonMapping, episodeData, releaseData] = await Promise.all([
-      this.getSeasonMapping(),
-      this.getEpisodeData(),
-      this.getReleaseData(),
-    ]);
+    const code = (number) => `E${Utils.padNumber(number, parseInt(width))}`;
+    return last > first ? `${code(first)}-${code(last)}` : code(first);
+  },
+};
 
-    return { seasonMapping, episodeData, releaseData };
-  }
-}
+// Run Checkpoint
+// Progress of the current metadata run, saved per item so it can be resumed
+const RunCheckpoint = {
+  storageKey: "onePace_runCheckpoint",
 
-// Main Application Class
-class OnePaceManager {
-  constructor() {
-    this.state = {
-      userToken: "",
-      serverList: [],
-      searchResults: [],
-      selectedServer: null,
-      selectedShow: null,
-      currentService: "plex",
-      seasonMappingData: null,
-      episodeData: null,
-      releaseData: null,
-      downloadedAssets: null,
-      operationCancelled: false,
-      jellyfinSession: null,
-      processedFiles: [],
-    };
+  get() {
+    const checkpoint = Storage.get(this.storageKey);
+    // Checkpoints from older versions stored whole changes; they can't resume
+    return checkpoint?.fields ? checkpoint : null;
+  },
 
-    this.api = {
-      plex: new PlexAPI(),
-      jellyfin: new JellyfinAPI(),
-      googleSheets: new GoogleSheetsAPI(),
+  // Only ids, field names and statuses are kept; resuming rebuilds the
+  // proposed values from the sheets, so descriptions never hit localStorage
+  create(details, changes) {
+    return {
+      ...details,
+      startedAt: new Date().toISOString(),
+      fields: changes.map((change) => `${change.itemId}:${change.field}`),
+      items: Object.fromEntries(
+        changes.map((change) => [change.itemId, "pending"])
+      ),
     };
+  },
 
-    this.initializeApplication();
-  }
-
-  async initializeApplication() {
+  save(checkpoint) {
     try {
-      this.setupEventListeners();
-      this.loadCachedCredentials();
-      this.updateUIState();
-
-      this.writeOutput("One Pace Plex Manager", "INFO");
-      this.writeOutput("======================================", "INFO");
-      this.writeOutput("Real API integration enabled!", "SUCCESS");
-      this.setStatus("Ready - Authenticate to begin");
+      Storage.set(this.storageKey, checkpoint);
+      return true;
     } catch (error) {
-      this.writeOutput(`Initialization error: ${error.message}`, "ERROR");
+      return false;
     }
-  }
+  },
 
-  setupEventListeners() {
-    // Media folder selection
-    document
-      .getElementById("mediaFolderInput")
-      ?.addEventListener("change", (e) => {
-        if (e.target.files.length > 0) {
-          const path = e.target.files[0].webkitRelativePath.split("/")[0];
-          document.getElementById("renameMediaPath").value = path;
-          this.state.processedFiles = Array.from(e.target.files);
-          this.writeOutput(
-            `Selected media root folder: ${path} (${e.target.files.length} files)`,
-            "INFO"
-          );
-          this.updateUIState();
-        }
-      });
+  markItem(checkpoint, itemId, status) {
+    checkpoint.items[itemId] = status;
+    this.save(checkpoint);
+  },
 
-    // Form validation
-    document
-      .getElementById("plexUser")
-      ?.addEventListener("input", () => this.validateForm());
-    document
-      .getElementById("plexPass")
-      ?.addEventListener("input", () => this.validateForm());
-    document
-      .getElementById("jellyfinUrl")
-      ?.addEventListener("input", () => this.validateJellyfinForm());
-    document
-      .getElementById("jellyfinToken")
-      ?.addEventListener("input", () => this.validateJellyfinForm());
-    document
-      .getElementById("searchTerm")
-      ?.addEventListener("input", () => this.validateSearchForm());
-  }
+  getProgress(checkpoint) {
+    const statuses = Object.values(checkpoint.items);
+    const done = statuses.filter((status) => status === "done").length;
+    return { done, total: statuses.length };
+  },
 
-  validateForm() {
-    const username = document.getElementById("plexUser")?.value || "";
-    const password = document.getElementById("plexPass")?.value || "";
-    const isValid = username.length >= 3 && password.length >= 6;
-    const loginBtn = document.getElementById("plexLoginBtn");
-    if (loginBtn) loginBtn.disabled = !isValid;
-  }
+  isComplete(checkpoint) {
+    const { done, total } = this.getProgress(checkpoint);
+    return done === total;
+  },
 
-  validateJellyfinForm() {
-    const url = document.getElementById("jellyfinUrl")?.value || "";
-    const token = document.getElementById("jellyfinToken")?.value || "";
-    const isValid = url.startsWith("http") && token.length >= 10;
-    const testBtn = document.getElementById("jellyfinTestBtn");
-    if (testBtn) testBtn.disabled = !isValid;
-  }
+  // Failed items are retried; only confirmed updates are skipped. An item
+  // the rebuilt changes no longer list already matches the sheet (its write
+  // landed before Stop) or left the library, so there's nothing to retry
+  getRemainingChanges(checkpoint, changes) {
+    const fields = new Set(checkpoint.fields);
+    const remaining = changes.filter(
+      (change) =>
+        fields.has(`${change.itemId}:${change.field}`) &&
+        checkpoint.items[change.itemId] !== "done"
+    );
 
-  validateSearchForm() {
-    const searchTerm = document.getElementById("searchTerm")?.value || "";
-    const hasServer = this.state.selectedServer !== null;
-    const isValid = searchTerm.length >= 1 && hasServer;
+    const listed = new Set(remaining.map((change) => String(change.itemId)));
+    Object.keys(checkpoint.items).forEach((itemId) => {
+      if (!listed.has(itemId)) checkpoint.items[itemId] = "done";
+    });
+    this.save(checkpoint);
+    return remaining;
+  },
 
-    const searchPlexBtn = document.getElementById("searchPlexBtn");
-    const searchJellyfinBtn = document.getElementById("searchJellyfinBtn");
-    if (searchPlexBtn)
-      searchPlexBtn.disabled = !isValid || this.state.currentService !== "plex";
-    if (searchJellyfinBtn)
-      searchJellyfinBtn.disabled =
-        !isValid || this.state.currentService !== "jellyfin";
+  clear() {
+    Storage.remove(this.storageKey);
+  },
+};
+
+// ZIP Archive Reader
+class ZipArchive {
+  constructor(arrayBuffer) {
+    this.buffer = arrayBuffer;
+    this.view = new DataView(arrayBuffer);
+    this.entries = this.readCentralDirectory();
   }
 
-  updateUIState() {
-    const hasPlexAuth =
-      this.state.userToken && this.state.currentService === "plex";
-    const hasJellyfinAuth =
-      this.state.jellyfinSession && this.state.currentService === "jellyfin";
-    const hasAuth = hasPlexAuth || hasJellyfinAuth;
-    const hasServer = this.state.selectedServer !== null;
-    const hasShow = this.state.selectedShow !== null;
-    const hasMediaPath = document.getElementById("renameMediaPath")?.value;
+  findEndOfCentralDirectory() {
+    // The EOCD record is at least 22 bytes and may be followed by a comment
+    const minOffset = Math.max(0, this.buffer.byteLength - 65557);
+    for (
+      let offset = this.buffer.byteLength - 22;
+      offset >= minOffset;
+      offset--
+    ) {
+      if (this.view.getUint32(offset, true) === 0x06054b50) {
+        return offset;
+      }
+    }
+    throw new Error("Not a valid ZIP archive");
+  }
 
-    // Update button states
-    const getServersBtn = document.getElementById("getServersBtn");
-    if (getServersBtn) getServersBtn.disabled = !hasAuth;
+  readCentralDirectory() {
+    const eocd = this.findEndOfCentralDirectory();
+    const entryCount = this.view.getUint16(eocd + 10, true);
+    let offset = this.view.getUint32(eocd + 16, true);
 
-    const applyBtn = document.getElementById("applyBtn");
-    if (applyBtn) applyBtn.disabled = !hasShow;
+    if (offset === 0xffffffff) {
+      throw new Error("ZIP64 archives are not supported");
+    }
 
-    const renameBtn = document.getElementById("renameBtn");
-    if (renameBtn) renameBtn.disabled = !hasMediaPath;
+    const decoder = new TextDecoder();
+    const entries = [];
 
-    // Update connection status indicators
-    this.setConnectionStatus(
-      "plex",
-      hasPlexAuth ? "connected" : "disconnected"
-    );
-    this.setConnectionStatus(
-      "jellyfin",
-      hasJellyfinAuth ? "connected" : "disconnected"
-    );
+    for (let i = 0; i < entryCount; i++) {
+      if (this.view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error("Corrupt ZIP central directory");
+      }
 
-    this.validateForm();
-    this.validateJellyfinForm();
-    this.validateSearchForm();
-  }
+      const nameLength = this.view.getUint16(offset + 28, true);
+      const extraLength = this.view.getUint16(offset + 30, true);
+      const commentLength = this.view.getUint16(offset + 32, true);
+      const path = decoder.decode(
+        new Uint8Array(this.buffer, offset + 46, nameLength)
+      );
 
-  loadCachedCredentials() {
-    // Load Plex token
-    const cachedPlexToken = Storage.get("onePace_plexToken");
-    if (cachedPlexToken) {
-      this.state.userToken = cachedPlexToken;
-      this.api.plex.token = cachedPlexToken;
-      this.setConnectionStatus("plex", "connected");
-      this.writeOutput("Loaded cached Plex token", "INFO");
-    }
+      entries.push({
+        path,
+        name: path.split("/").filter(Boolean).pop() || "",
+        directory: path.endsWith("/"),
+        method: this.view.getUint16(offset + 10, true),
+        compressedSize: this.view.getUint32(offset + 20, true),
+        size: this.view.getUint32(offset + 24, true),
+        localHeaderOffset: this.view.getUint32(offset + 42, true),
+      });
 
-    // Load Jellyfin credentials
-    const cachedJellyfinCreds = Storage.get("onePace_jellyfinCredentials");
-    if (cachedJellyfinCreds) {
-      if (cachedJellyfinCreds.url) {
-        document.getElementById("jellyfinUrl").value = cachedJellyfinCreds.url;
-        document.getElementById("cacheJellyfinUrl").checked = true;
-      }
-      if (cachedJellyfinCreds.apiKey) {
-        document.getElementById("jellyfinToken").value =
-          cachedJellyfinCreds.apiKey;
-        document.getElementById("cacheJellyfinToken").checked = true;
-      }
-      this.writeOutput("Loaded cached Jellyfin credentials", "INFO");
+      offset += 46 + nameLength + extraLength + commentLength;
     }
+
+    return entries;
   }
 
-  writeOutput(message, type = "INFO") {
-    const timestamp = new Date().toLocaleString();
-    const paddedType = type.toUpperCase().padEnd(7);
-    const prefix = `[${timestamp}] [${paddedType}]`;
-    const spacing = " ".repeat(Math.max(1, 37 - prefix.length));
-    const formattedMessage = `${prefix}${spacing}${message}`;
+  // Builds an uncompressed archive from [{ path, content }] entries
+  static build(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+      const name = encoder.encode(file.path);
+      const data =
+        typeof file.content === "string"
+          ? encoder.encode(file.content)
+          : new Uint8Array(file.content);
+      const crc = Utils.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(local, name, data);
+      centralParts.push(central, name);
+      offset += 30 + name.length + data.length;
+    });
 
-    const outputLog = document.getElementById("outputLog");
-    if (outputLog) {
-      outputLog.textContent += "\n" + formattedMessage;
-      outputLog.scrollTop = outputLog.scrollHeight;
-    }
+    const centralSize = centralParts.reduce(
+      (size, part) => size + part.byteLength,
+      0
+    );
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], {
+      type: "application/zip",
+    });
   }
 
-  setStatus(message) {
-    const statusElement = document.getElementById("statusMessage");
-    if (statusElement) statusElement.textContent = message;
-  }
+  async read(entry) {
+    const header = entry.localHeaderOffset;
+    if (this.view.getUint32(header, true) !== 0x04034b50) {
+      throw new Error(`Corrupt ZIP entry: ${entry.path}`);
+    }
 
-  updateProgress(percent, text) {
-    const progressFill = document.getElementById("progressFill");
-    const progressText = document.getElementById("progressText");
+    const dataStart =
+      header +
+      30 +
+      this.view.getUint16(header + 26, true) +
+      this.view.getUint16(header + 28, true);
+    const data = new Uint8Array(this.buffer, dataStart, entry.compressedSize);
 
-    if (progressFill)
-      progressFill.style.width = `${Utils.clamp(percent, 0, 100)}%`;
-    if (progressText) progressText.textContent = text;
-  }
+    if (entry.method === 0) {
+      return data.slice().buffer;
+    }
+
+    if (entry.method === 8) {
+      const stream = new Blob([data])
+        .stream()
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+      return await new Response(stream).arrayBuffer();
+    }
+
+    throw new Error(
+      `Unsupported compression method ${entry.method} for ${entry.path}`
+    );
+  }
+}
+
+// API Classes
+class PlexAPI {
+  constructor() {
+    this.token = null;
+    this.baseHeaders = API_CONFIG.plex.headers;
+  }
+
+  async authenticate(username, password) {
+    const base64Auth = btoa(`${username}:${password}`);
+
+    const response = await Utils.fetchWithCORS(API_CONFIG.plex.signInUrl, {
+      method: "POST",
+      cancellable: false,
+      headers: {
+        ...this.baseHeaders,
+        Authorization: `Basic ${base64Auth}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Authentication failed: ${response.status}`);
+    }
+
+    const xmlText = await response.text();
+    const xmlDoc = Utils.parseXML(xmlText);
+    const userElement = xmlDoc.querySelector("user");
+
+    if (!userElement) {
+      throw new Error("No user element in response");
+    }
+
+    const authToken = userElement.getAttribute("authToken");
+    if (!authToken) {
+      throw new Error("No auth token in response");
+    }
+
+    this.token = authToken;
+    return {
+      token: authToken,
+      user: {
+        id: userElement.getAttribute("id"),
+        username: userElement.getAttribute("username"),
+        email: userElement.getAttribute("email"),
+      },
+    };
+  }
+
+  async createPin() {
+    const response = await Utils.fetchWithCORS(API_CONFIG.plex.pinsUrl, {
+      method: "POST",
+      cancellable: false,
+      headers: {
+        ...this.baseHeaders,
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json",
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to create PIN: ${response.status}`);
+    }
+
+    const pin = await response.json();
+    return {
+      id: pin.id,
+      code: pin.code,
+      expiresAt: pin.expiresAt
+        ? new Date(pin.expiresAt).getTime()
+        : Date.now() + (pin.expiresIn || 900) * 1000,
+    };
+  }
+
+  async checkPin(pinId) {
+    const response = await Utils.fetchWithCORS(
+      `${API_CONFIG.plex.pinsUrl}/${pinId}`,
+      {
+        headers: { ...this.baseHeaders, Accept: "application/json" },
+        cancellable: false,
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to check PIN: ${response.status}`);
+    }
+
+    const pin = await response.json();
+    if (pin.authToken) {
+      this.token = pin.authToken;
+    }
+    return pin.authToken || null;
+  }
+
+  async getServers() {
+    if (!this.token) {
+      throw new Error("Not authenticated - no token available");
+    }
+
+    const url = `${API_CONFIG.plex.resourcesUrl}?includeHttps=1&includeRelay=1&X-Plex-Token=${this.token}`;
+    const response = await Utils.fetchWithCORS(url, {
+      headers: { ...this.baseHeaders, Accept: "application/json" },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch servers: ${response.status}`);
+    }
+
+    const resources = await response.json();
+    const servers = resources
+      .filter((resource) => resource.provides?.split(",").includes("server"))
+      .map((resource) => ({
+        name: resource.name,
+        version: resource.productVersion,
+        accessToken: resource.accessToken,
+        owned: resource.owned === true || resource.owned === 1,
+        connections: (resource.connections || []).map((connection) => ({
+          uri: connection.uri,
+          type: connection.relay
+            ? "relay"
+            : connection.local
+            ? "local"
+            : "remote",
+        })),
+      }));
+
+    return await Promise.all(
+      servers.map((server) => this.selectConnection(server))
+    );
+  }
+
+  async probeConnection(connection) {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(),
+      API_CONFIG.plex.probeTimeout
+    );
+    const started = performance.now();
+
+    // Probe directly: a CORS proxy can't reach LAN addresses anyway
+    try {
+      const response = await fetch(
+        `${connection.uri}/identity?X-Plex-Token=${this.token}`,
+        { signal: controller.signal }
+      );
+      return {
+        ...connection,
+        reachable: response.ok,
+        latency: Math.round(performance.now() - started),
+      };
+    } catch (error) {
+      return { ...connection, reachable: false, latency: null };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async selectConnection(server) {
+    const results = await Promise.all(
+      server.connections.map((connection) => this.probeConnection(connection))
+    );
+
+    // Local beats remote beats relay; the fastest wins within each group
+    const typeRank = { local: 0, remote: 1, relay: 2 };
+    const working = results
+      .filter((result) => result.reachable)
+      .sort(
+        (a, b) => typeRank[a.type] - typeRank[b.type] || a.latency - b.latency
+      );
+
+    const connection = working[0] || null;
+    const fallback = connection || server.connections[0];
+    const url = fallback ? new URL(fallback.uri) : null;
+
+    return {
+      ...server,
+      connections: results,
+      connection,
+      scheme: url ? url.protocol.replace(":", "") : "http",
+      address: url ? url.hostname : null,
+      port: url ? url.port || (url.protocol === "https:" ? "443" : "80") : null,
+    };
+  }
+
+  async searchShows(server, query) {
+    const searchUrl = `${server.scheme}://${server.address}:${
+      server.port
+    }/search?query=${encodeURIComponent(query)}&X-Plex-Token=${this.token}`;
+    const response = await Utils.fetchWithCORS(searchUrl);
+
+    if (!response.ok) {
+      throw new Error(`Search failed: ${response.status}`);
+    }
+
+    const xmlText = await response.text();
+    const xmlDoc = Utils.parseXML(xmlText);
+
+    return Array.from(xmlDoc.querySelectorAll('Directory[type="show"]')).map(
+      (show) => ({
+        title: show.getAttribute("title"),
+        ratingKey: show.getAttribute("ratingKey"),
+        year: show.getAttribute("year"),
+        summary: show.getAttribute("summary"),
+        thumb: show.getAttribute("thumb"),
+      })
+    );
+  }
+
+  async getShowMetadata(server, ratingKey) {
+    const seasonsUrl = `${server.scheme}://${server.address}:${server.port}/library/metadata/${ratingKey}/children?X-Plex-Token=${this.token}`;
+    const response = await Utils.fetchWithCORS(seasonsUrl);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch seasons: ${response.status}`);
+    }
+
+    const xmlText = await response.text();
+    const xmlDoc = Utils.parseXML(xmlText);
+
+    const seasons = Array.from(
+      xmlDoc.querySelectorAll('Directory[type="season"]')
+    )
+      .filter((season) => season.getAttribute("title") !== "All episodes")
+      .map((season) => ({
+        id: season.getAttribute("ratingKey"),
+        title: season.getAttribute("title"),
+        number: parseInt(season.getAttribute("index")),
+        summary: season.getAttribute("summary"),
+        thumb: season.getAttribute("thumb"),
+        episodes: [],
+      }));
+
+    // Get episodes for each season; the scheduler bounds the parallelism
+    await Promise.all(
+      seasons.map(async (season) => {
+        const episodesUrl = `${server.scheme}://${server.address}:${server.port}/library/metadata/${season.id}/children?X-Plex-Token=${this.token}`;
+        const episodesResponse = await Utils.fetchWithCORS(episodesUrl);
+
+        if (episodesResponse.ok) {
+          const episodesXml = await episodesResponse.text();
+          const episodesDoc = Utils.parseXML(episodesXml);
+
+          season.episodes = Array.from(
+            episodesDoc.querySelectorAll("Video")
+          ).map((episode) => ({
+            id: episode.getAttribute("ratingKey"),
+            title: episode.getAttribute("title"),
+            number: parseInt(episode.getAttribute("index")),
+            summary: episode.getAttribute("summary"),
+            originallyAvailableAt: episode.getAttribute(
+              "originallyAvailableAt"
+            ),
+            thumb: episode.getAttribute("thumb"),
+            file: episode.querySelector("Part")?.getAttribute("file") || null,
+          }));
+        }
+      })
+    );
+
+    return { seasons };
+  }
+
+  async updateMetadata(server, itemId, updates) {
+    const params = new URLSearchParams();
+    if (updates.title != null) params.append("title", updates.title);
+    if (updates.summary != null) params.append("summary", updates.summary);
+    // An empty date clears it, e.g. when undoing a run that set the first one
+    if (updates.originallyAvailableAt != null)
+      params.append("originallyAvailableAt", updates.originallyAvailableAt);
+
+    const updateUrl = `${server.scheme}://${server.address}:${
+      server.port
+    }/library/metadata/${itemId}?${params.toString()}&X-Plex-Token=${
+      this.token
+    }`;
+
+    const response = await Utils.fetchWithCORS(updateUrl, {
+      method: "PUT",
+    });
+
+    if (!response.ok) {
+      throw new Error(`Update failed: ${response.status}`);
+    }
+  }
+
+  async uploadPoster(server, itemId, imageData) {
+    const uploadUrl = `${server.scheme}://${server.address}:${server.port}/library/metadata/${itemId}/posters?X-Plex-Token=${this.token}`;
+
+    const response = await Utils.fetchWithCORS(uploadUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: imageData,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Poster upload failed: ${response.status}`);
+    }
+  }
+}
+
+class JellyfinAPI {
+  constructor() {
+    this.serverUrl = null;
+    this.apiKey = null;
+    this.userId = null;
+    this.authenticatedUser = null;
+  }
+
+  get serverLabel() {
+    return "Jellyfin";
+  }
+
+  normalizeServerUrl(serverUrl) {
+    return serverUrl.replace(/\/$/, "");
+  }
+
+  async testConnection(serverUrl, apiKey) {
+    const baseUrl = this.normalizeServerUrl(serverUrl);
+    const response = await Utils.fetchWithCORS(
+      baseUrl + "/System/Info/Public",
+      { headers: { "X-Emby-Token": apiKey } }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Connection test failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    this.serverUrl = baseUrl;
+    this.apiKey = apiKey;
+
+    return {
+      serverName: data.ServerName,
+      version: data.Version,
+      id: data.Id,
+    };
+  }
+
+  async getUsers() {
+    if (!this.serverUrl || !this.apiKey) {
+      throw new Error(`Not connected to ${this.serverLabel} server`);
+    }
+
+    const url = this.serverUrl + "/Users";
+    const response = await Utils.fetchWithCORS(url, {
+      headers: { "X-Emby-Token": this.apiKey },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch users: ${response.status}`);
+    }
+
+    const users = await response.json();
+
+    // Keep a user chosen earlier; only fall back to the first one
+    if (!users.some((user) => user.Id === this.userId)) {
+      this.userId = users.length > 0 ? users[0].Id : null;
+    }
+
+    return users;
+  }
+
+  async authenticateByName(serverUrl, username, password) {
+    const { client, device, deviceId } = API_CONFIG.mediaServer;
+    const baseUrl = this.normalizeServerUrl(serverUrl);
+    const authorization =
+      `MediaBrowser Client="${client}", Device="${device}", ` +
+      `DeviceId="${deviceId}", Version="${APP_CONFIG.version}"`;
+
+    const response = await Utils.fetchWithCORS(
+      baseUrl + "/Users/AuthenticateByName",
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Emby-Authorization": authorization,
+        },
+        body: JSON.stringify({ Username: username, Pw: password }),
+        cancellable: false,
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        response.status === 401
+          ? "Invalid username or password"
+          : `Authentication failed: ${response.status}`
+      );
+    }
+
+    const data = await response.json();
+    this.serverUrl = baseUrl;
+    this.apiKey = data.AccessToken;
+    this.userId = data.User.Id;
+    this.authenticatedUser = data.User;
+
+    return { accessToken: data.AccessToken, user: data.User };
+  }
+
+  async searchShows(query) {
+    if (!this.userId) {
+      await this.getUsers();
+    }
+
+    const url = `${this.serverUrl}/Users/${
+      this.userId
+    }/Items?SearchTerm=${encodeURIComponent(query)}&IncludeItemTypes=Series`;
+    const response = await Utils.fetchWithCORS(url, {
+      headers: { "X-Emby-Token": this.apiKey },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Search failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.Items.map((show) => ({
+      title: show.Name,
+      id: show.Id,
+      year: show.ProductionYear,
+      summary: show.Overview,
+    }));
+  }
+
+  async getShowMetadata(seriesId) {
+    if (!this.userId) {
+      await this.getUsers();
+    }
+
+    const seasonsUrl = `${this.serverUrl}/Shows/${seriesId}/Seasons?UserId=${this.userId}&Fields=Overview`;
+    const response = await Utils.fetchWithCORS(seasonsUrl, {
+      headers: { "X-Emby-Token": this.apiKey },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch seasons: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const seasons = data.Items.filter(
+      (season) => season.IndexNumber !== undefined
+    ).map((season) => ({
+      id: season.Id,
+      title: season.Name,
+      number: season.IndexNumber,
+      summary: season.Overview,
+      episodes: [],
+    }));
+
+    // Get episodes for each season; the scheduler bounds the parallelism
+    await Promise.all(
+      seasons.map(async (season) => {
+        const episodesUrl = `${this.serverUrl}/Shows/${seriesId}/Episodes?SeasonId=${season.id}&UserId=${this.userId}&Fields=Overview,PremiereDate,Path`;
+        const episodesResponse = await Utils.fetchWithCORS(episodesUrl, {
+          headers: { "X-Emby-Token": this.apiKey },
+        });
+
+        if (episodesResponse.ok) {
+          const episodesData = await episodesResponse.json();
+          season.episodes = episodesData.Items.map((episode) => ({
+            id: episode.Id,
+            title: episode.Name,
+            number: episode.IndexNumber,
+            summary: episode.Overview,
+            originallyAvailableAt: episode.PremiereDate
+              ? Utils.formatDate(episode.PremiereDate)
+              : null,
+            file: episode.Path || null,
+          }));
+        }
+      })
+    );
+
+    return { seasons };
+  }
+
+  async updateMetadata(itemId, updates) {
+    if (!this.userId) {
+      await this.getUsers();
+    }
+
+    // The server replaces the whole item on update, so start from the current one
+    const itemUrl = `${this.serverUrl}/Users/${this.userId}/Items/${itemId}`;
+    const itemResponse = await Utils.fetchWithCORS(itemUrl, {
+      headers: { "X-Emby-Token": this.apiKey },
+    });
+
+    if (!itemResponse.ok) {
+      throw new Error(`Failed to fetch item: ${itemResponse.status}`);
+    }
+
+    const item = await itemResponse.json();
+    if (updates.title != null) item.Name = updates.title;
+    if (updates.summary != null) item.Overview = updates.summary;
+    if (updates.originallyAvailableAt != null)
+      item.PremiereDate = updates.originallyAvailableAt
+        ? new Date(updates.originallyAvailableAt).toISOString()
+        : null;
+
+    const response = await Utils.fetchWithCORS(
+      `${this.serverUrl}/Items/${itemId}`,
+      {
+        method: "POST",
+        headers: {
+          "X-Emby-Token": this.apiKey,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(item),
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Update failed: ${response.status}`);
+    }
+  }
+}
+
+class EmbyAPI extends JellyfinAPI {
+  get serverLabel() {
+    return "Emby";
+  }
+
+  // Emby serves its API under /emby; accept URLs with or without it
+  normalizeServerUrl(serverUrl) {
+    return (
+      super.normalizeServerUrl(serverUrl).replace(/\/emby$/i, "") + "/emby"
+    );
+  }
+}
+
+class GoogleSheetsAPI {
+  async fetchSheet(sheetConfig) {
+    const url = `${API_CONFIG.googleSheets.baseUrl}/${sheetConfig.sheetId}/export?format=csv&gid=${sheetConfig.gid}`;
+    const response = await Utils.fetchWithCORS(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch sheet: ${response.status}`);
+    }
+
+    const csvText = await response.text();
+    return {
+      rows: Utils.parseCSV(csvText),
+      // Sheet exports rarely send an ETag, so fall back to a content hash
+      hash: response.headers.get("ETag") || Utils.hashString(csvText),
+    };
+  }
+
+  async getSheetData(sheetConfig) {
+    const { rows } = await this.fetchSheet(sheetConfig);
+    return rows;
+  }
+
+  async getSeasonMapping() {
+    return await this.getSheetData(API_CONFIG.googleSheets.seasonMapping);
+  }
+
+  async getEpisodeData() {
+    return await this.getSheetData(API_CONFIG.googleSheets.episodeData);
+  }
+
+  async getReleaseData() {
+    return await this.getSheetData(API_CONFIG.googleSheets.releaseData);
+  }
+
+  async getAllData(options = {}) {
+    if (options.pinned) {
+      const snapshot = await SheetCache.getSnapshot();
+      const missing = SheetCache.sheetNames.filter((name) => !snapshot[name]);
+      if (missing.length > 0) {
+        throw new Error(
+          `Saved snapshot is missing: ${missing.join(
+            ", "
+          )} - import a snapshot or disable "Use Saved Snapshot"`
+        );
+      }
+
+      const data = { sources: {} };
+      SheetCache.sheetNames.forEach((name) => {
+        data[name] = snapshot[name].rows;
+        data.sources[name] = {
+          status: "snapshot",
+          fetchedAt: snapshot[name].fetchedAt,
+        };
+      });
+      return data;
+    }
+
+    const results = await Promise.all(
+      SheetCache.sheetNames.map((name) => this.getCachedSheet(name))
+    );
+
+    const data = { sources: {} };
+    results.forEach(({ name, rows, ...source }) => {
+      data[name] = rows;
+      data.sources[name] = source;
+    });
+    return data;
+  }
+
+  async getCachedSheet(name) {
+    const cached = await SheetCache.get(name).catch(() => null);
+
+    try {
+      const fresh = await this.fetchSheet(API_CONFIG.googleSheets[name]);
+      const changed = !cached || cached.hash !== fresh.hash;
+      const fetchedAt = changed ? Date.now() : cached.fetchedAt;
+
+      if (changed) {
+        await SheetCache.put({
+          name,
+          rows: fresh.rows,
+          hash: fresh.hash,
+          fetchedAt,
+        }).catch(() => null);
+      }
+
+      return {
+        name,
+        rows: fresh.rows,
+        status: !cached ? "new" : changed ? "updated" : "unchanged",
+        fetchedAt,
+      };
+    } catch (error) {
+      if (!cached) throw error;
+
+      // Offline or the sheet is unreachable - fall back to the last copy
+      return {
+        name,
+        rows: cached.rows,
+        status: "offline",
+        fetchedAt: cached.fetchedAt,
+        error: error.message,
+      };
+    }
+  }
+}
+
+// Main Application Class
+class OnePaceManager {
+  constructor() {
+    this.state = {
+      userToken: "",
+      serverList: [],
+      searchResults: [],
+      selectedServer: null,
+      selectedShow: null,
+      currentService: "plex",
+      seasonMappingData: null,
+      episodeData: null,
+      releaseData: null,
+      downloadedAssets: null,
+      assetIndex: null,
+      pendingChanges: null,
+      operationCancelled: false,
+      jellyfinSession: null,
+      embySession: null,
+      plexPinActive: false,
+      processedFiles: [],
+      mediaDirectoryHandle: null,
+      fileHandles: new Map(),
+      checksumList: [],
+      reviewItems: [],
+      healthReport: null,
+      upgradeReport: null,
+      resumeOffered: false,
+      logEntries: [],
+    };
+
+    this.api = {
+      plex: new PlexAPI(),
+      jellyfin: new JellyfinAPI(),
+      emby: new EmbyAPI(),
+      googleSheets: new GoogleSheetsAPI(),
+    };
+
+    this.initializeApplication();
+  }
+
+  async initializeApplication() {
+    try {
+      this.setupEventListeners();
+      this.loadCachedCredentials();
+      this.updateUIState();
+
+      this.writeOutput("One Pace Plex Manager", "INFO");
+      this.writeOutput("======================================", "INFO");
+      this.writeOutput("Real API integration enabled!", "SUCCESS");
+      this.setStatus("Ready - Authenticate to begin");
+      this.renderResumeOffer();
+      this.renderArcAliases();
+    } catch (error) {
+      this.writeOutput(`Initialization error: ${error.message}`, "ERROR");
+    }
+  }
+
+  setupEventListeners() {
+    // Media folder selection
+    document
+      .getElementById("mediaFolderInput")
+      ?.addEventListener("change", (e) => {
+        if (e.target.files.length > 0) {
+          const path = e.target.files[0].webkitRelativePath.split("/")[0];
+          document.getElementById("renameMediaPath").value = path;
+          this.state.processedFiles = Array.from(e.target.files);
+          this.state.mediaDirectoryHandle = null;
+          this.state.fileHandles = new Map();
+          this.writeOutput(
+            `Selected media root folder: ${path} (${e.target.files.length} files)`,
+            "INFO"
+          );
+          this.updateUIState();
+        }
+      });
+
+    // Checksum list import
+    document
+      .getElementById("checksumFileInput")
+      ?.addEventListener("change", (e) => {
+        if (e.target.files.length > 0) {
+          this.loadChecksumList(e.target.files[0]);
+          e.target.value = "";
+        }
+      });
+
+    // Sheet snapshot controls
+    document
+      .getElementById("snapshotFileInput")
+      ?.addEventListener("change", (e) => {
+        if (e.target.files.length > 0) {
+          this.importSheetSnapshot(e.target.files[0]);
+          e.target.value = "";
+        }
+      });
+    document
+      .getElementById("useSheetSnapshot")
+      ?.addEventListener("change", async (e) => {
+        Storage.set("onePace_useSheetSnapshot", e.target.checked);
+        this.state.seasonMappingData = null;
+        this.state.episodeData = null;
+        this.state.releaseData = null;
+        if (e.target.checked) await this.pinCachedSheets();
+        this.writeOutput(
+          e.target.checked
+            ? "Runs will use the saved sheet snapshot"
+            : "Runs will fetch live sheet data",
+          "INFO"
+        );
+      });
+
+    // Writable folder access is only available in Chromium-based browsers
+    if ("showDirectoryPicker" in window) {
+      document.getElementById("openFolderBtn")?.classList.remove("hidden");
+    }
+
+    // Form validation
+    document
+      .getElementById("plexUser")
+      ?.addEventListener("input", () => this.validateForm());
+    document
+      .getElementById("plexPass")
+      ?.addEventListener("input", () => this.validateForm());
+    Object.keys(MEDIA_SERVERS).forEach((service) => {
+      document
+        .getElementById(`${service}Url`)
+        ?.addEventListener("input", () =>
+          this.validateMediaServerForm(service)
+        );
+      document
+        .getElementById(`${service}Token`)
+        ?.addEventListener("input", () =>
+          this.validateMediaServerForm(service)
+        );
+      document
+        .getElementById(`${service}UserSelect`)
+        ?.addEventListener("change", (e) =>
+          this.selectMediaServerUser(service, e.target.value)
+        );
+      document
+        .getElementById(`${service}Password`)
+        ?.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") this.signInMediaServer(service);
+        });
+    });
+    document
+      .getElementById("searchTerm")
+      ?.addEventListener("input", () => this.validateSearchForm());
+    document
+      .getElementById("logLevelFilter")
+      ?.addEventListener("change", () => this.renderOutputLog());
+    document
+      .getElementById("logTextFilter")
+      ?.addEventListener("input", () => this.renderOutputLog());
+    document
+      .getElementById("renameTemplate")
+      ?.addEventListener("input", () => this.renderRenamePreview());
+    document
+      .getElementById("renameTemplate")
+      ?.addEventListener("change", () => this.saveRenameTemplate());
+    document
+      .getElementById("episodeNumbering")
+      ?.addEventListener("change", (e) =>
+        this.setEpisodeNumbering(e.target.value)
+      );
+    document
+      .getElementById("renameTemplatePreset")
+      ?.addEventListener("change", (e) =>
+        this.selectRenamePreset(e.target.value)
+      );
+    document
+      .getElementById("requestConcurrency")
+      ?.addEventListener("change", (e) => {
+        const concurrency = RequestScheduler.setConcurrency(e.target.value);
+        e.target.value = concurrency;
+        Storage.set("onePace_requestConcurrency", concurrency);
+        this.writeOutput(`Concurrent requests set to ${concurrency}`, "INFO");
+      });
+  }
+
+  validateForm() {
+    const username = document.getElementById("plexUser")?.value || "";
+    const password = document.getElementById("plexPass")?.value || "";
+    const isValid = username.length >= 3 && password.length >= 6;
+    const loginBtn = document.getElementById("plexLoginBtn");
+    if (loginBtn) loginBtn.disabled = !isValid;
+  }
+
+  validateMediaServerForm(service) {
+    const url = document.getElementById(`${service}Url`)?.value || "";
+    const token = document.getElementById(`${service}Token`)?.value || "";
+    const isValid = url.startsWith("http") && token.length >= 10;
+    const testBtn = document.getElementById(`${service}TestBtn`);
+    if (testBtn) testBtn.disabled = !isValid;
+  }
+
+  validateSearchForm() {
+    const searchTerm = document.getElementById("searchTerm")?.value || "";
+    const hasServer = this.state.selectedServer !== null;
+    const isValid = searchTerm.length >= 1 && hasServer;
+
+    const searchPlexBtn = document.getElementById("searchPlexBtn");
+    if (searchPlexBtn)
+      searchPlexBtn.disabled = !isValid || this.state.currentService !== "plex";
+
+    Object.entries(MEDIA_SERVERS).forEach(([service, { name }]) => {
+      const searchBtn = document.getElementById(`search${name}Btn`);
+      if (searchBtn)
+        searchBtn.disabled = !isValid || this.state.currentService !== service;
+    });
+  }
+
+  updateUIState() {
+    const hasPlexAuth =
+      this.state.userToken && this.state.currentService === "plex";
+    const hasMediaServerAuth =
+      MEDIA_SERVERS[this.state.currentService] &&
+      this.state[`${this.state.currentService}Session`];
+    const hasAuth = hasPlexAuth || hasMediaServerAuth;
+    const hasServer = this.state.selectedServer !== null;
+    const hasShow = this.state.selectedShow !== null;
+    const hasMediaPath = document.getElementById("renameMediaPath")?.value;
+
+    // Update button states
+    const getServersBtn = document.getElementById("getServersBtn");
+    if (getServersBtn) getServersBtn.disabled = !hasAuth;
+
+    const applyBtn = document.getElementById("applyBtn");
+    if (applyBtn) applyBtn.disabled = !hasShow;
+
+    const healthBtn = document.getElementById("healthBtn");
+    if (healthBtn) healthBtn.disabled = !hasShow;
+
+    const upgradeBtn = document.getElementById("upgradeBtn");
+    if (upgradeBtn) upgradeBtn.disabled = !hasShow && !hasMediaPath;
+
+    const renameBtn = document.getElementById("renameBtn");
+    if (renameBtn) renameBtn.disabled = !hasMediaPath;
+
+    const nfoBtn = document.getElementById("nfoBtn");
+    if (nfoBtn) nfoBtn.disabled = !hasMediaPath;
+
+    const undoBtn = document.getElementById("undoBtn");
+    if (undoBtn) undoBtn.disabled = !UndoJournal.getLastRun();
+
+    const resumeBtn = document.getElementById("resumeBtn");
+    if (resumeBtn) {
+      const checkpoint = RunCheckpoint.get();
+      resumeBtn.disabled = !(
+        checkpoint &&
+        this.state.selectedShow &&
+        checkpoint.showKey === this.getShowKey()
+      );
+    }
+
+    // Update connection status indicators
+    this.setConnectionStatus(
+      "plex",
+      hasPlexAuth ? "connected" : "disconnected"
+    );
+    Object.keys(MEDIA_SERVERS).forEach((service) => {
+      const connected =
+        this.state[`${service}Session`] &&
+        this.state.currentService === service;
+      this.setConnectionStatus(
+        service,
+        connected ? "connected" : "disconnected"
+      );
+    });
+
+    this.validateForm();
+    Object.keys(MEDIA_SERVERS).forEach((service) =>
+      this.validateMediaServerForm(service)
+    );
+    this.validateSearchForm();
+  }
+
+  loadCachedCredentials() {
+    // Load sheet snapshot preference
+    if (Storage.get("onePace_useSheetSnapshot")) {
+      document.getElementById("useSheetSnapshot").checked = true;
+    }
+    this.renderSheetCacheStatus();
+
+    // Load episode numbering mode
+    document.getElementById("episodeNumbering").value = Storage.get(
+      "onePace_episodeNumbering",
+      "onepace"
+    );
+
+    // Load rename template
+    const renameTemplate = RenameTemplate.get();
+    document.getElementById("renameTemplate").value = renameTemplate;
+    document.getElementById("renameTemplatePreset").value =
+      RenameTemplate.getPreset(renameTemplate);
+    this.renderRenamePreview();
+
+    // Load request concurrency
+    const cachedConcurrency = Storage.get("onePace_requestConcurrency");
+    if (cachedConcurrency) {
+      document.getElementById("requestConcurrency").value =
+        RequestScheduler.setConcurrency(cachedConcurrency);
+    }
+
+    // Load CORS proxy setting
+    const cachedProxy = Storage.get("onePace_corsProxy");
+    if (cachedProxy) {
+      API_CONFIG.corsProxy = cachedProxy;
+      document.getElementById("corsProxyUrl").value = cachedProxy;
+      this.writeOutput(`Using CORS proxy: ${cachedProxy}`, "INFO");
+    }
+
+    // Load Plex token
+    const cachedPlexToken = Storage.get("onePace_plexToken");
+    if (cachedPlexToken) {
+      this.state.userToken = cachedPlexToken;
+      this.api.plex.token = cachedPlexToken;
+      this.setConnectionStatus("plex", "connected");
+      this.writeOutput("Loaded cached Plex token", "INFO");
+    }
+
+    // Load Jellyfin and Emby credentials
+    Object.entries(MEDIA_SERVERS).forEach(([service, { name }]) => {
+      const cachedCreds = Storage.get(`onePace_${service}Credentials`);
+      if (!cachedCreds) return;
+
+      if (cachedCreds.url) {
+        document.getElementById(`${service}Url`).value = cachedCreds.url;
+        document.getElementById(`cache${name}Url`).checked = true;
+      }
+      if (cachedCreds.apiKey) {
+        document.getElementById(`${service}Token`).value = cachedCreds.apiKey;
+        document.getElementById(`cache${name}Token`).checked = true;
+      }
+      if (cachedCreds.userId) {
+        this.api[service].userId = cachedCreds.userId;
+      }
+      this.writeOutput(`Loaded cached ${name} credentials`, "INFO");
+    });
+  }
+
+  // details: { itemId, season, episode, operation } for per-item entries
+  writeOutput(message, type = "INFO", details = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level: type.toUpperCase(),
+      operation: details.operation ?? this.operation ?? null,
+      itemId: details.itemId ?? null,
+      season: details.season ?? null,
+      episode: details.episode ?? null,
+      message: message.trim(),
+      text: message,
+    };
+
+    const logEntries = this.state.logEntries;
+    logEntries.push(entry);
+    if (logEntries.length > APP_CONFIG.maxLogEntries) logEntries.shift();
+
+    const outputLog = document.getElementById("outputLog");
+    if (outputLog && this.matchesLogFilter(entry)) {
+      // One text node per line, so old lines can be dropped like the entries
+      outputLog.append("\n" + this.formatLogEntry(entry));
+      while (outputLog.childNodes.length > APP_CONFIG.maxLogEntries) {
+        outputLog.firstChild.remove();
+      }
+      outputLog.scrollTop = outputLog.scrollHeight;
+    }
+  }
+
+  formatLogEntry(entry) {
+    const timestamp = new Date(entry.timestamp).toLocaleString();
+    const prefix = `[${timestamp}] [${entry.level.padEnd(7)}]`;
+    const spacing = " ".repeat(Math.max(1, 37 - prefix.length));
+    return `${prefix}${spacing}${entry.text}`;
+  }
+
+  matchesLogFilter(entry) {
+    const level = document.getElementById("logLevelFilter")?.value || "";
+    const text = (
+      document.getElementById("logTextFilter")?.value || ""
+    ).toLowerCase();
+
+    if (level && entry.level !== level) return false;
+    if (!text) return true;
+
+    return [entry.message, entry.operation, entry.itemId].some((value) =>
+      String(value ?? "")
+        .toLowerCase()
+        .includes(text)
+    );
+  }
+
+  renderOutputLog() {
+    const outputLog = document.getElementById("outputLog");
+    if (!outputLog) return;
+
+    const visible = this.state.logEntries.filter((entry) =>
+      this.matchesLogFilter(entry)
+    );
+    if (visible.length > 0) {
+      outputLog.replaceChildren(
+        ...visible.map(
+          (entry, index) => (index > 0 ? "\n" : "") + this.formatLogEntry(entry)
+        )
+      );
+    } else {
+      outputLog.textContent = "No log entries match the current filter.";
+    }
+    outputLog.scrollTop = outputLog.scrollHeight;
+  }
+
+  exportOutputLog(format) {
+    const entries = this.state.logEntries.filter((entry) =>
+      this.matchesLogFilter(entry)
+    );
+    if (entries.length === 0) {
+      this.writeOutput("No log entries to export", "WARNING");
+      return;
+    }
+
+    const records = entries.map(({ text, ...record }) => record);
+    const baseName = `onepace-log-${Utils.formatDate(Date.now())}`;
+
+    if (format === "json") {
+      Utils.downloadFile(
+        JSON.stringify(
+          {
+            app: APP_CONFIG.name,
+            version: APP_CONFIG.version,
+            entries: records,
+          },
+          null,
+          2
+        ),
+        `${baseName}.json`
+      );
+    } else if (format === "csv") {
+      const columns = [
+        "timestamp",
+        "level",
+        "operation",
+        "itemId",
+        "season",
+        "episode",
+        "message",
+      ];
+      Utils.downloadFile(
+        Utils.toCSV(records, columns),
+        `${baseName}.csv`,
+        "text/csv"
+      );
+    } else {
+      Utils.downloadFile(
+        entries.map((entry) => this.formatLogEntry(entry)).join("\n"),
+        `${baseName}.txt`,
+        "text/plain"
+      );
+    }
+
+    this.setStatus(`Exported ${entries.length} log entries`);
+  }
+
+  // Runs a manager method and tags the log entries it writes. The method gets
+  // its own view of the manager carrying the tag, so every call it makes
+  // through `this` logs under it, even while another operation is running.
+  async runOperation(operation, method, ...args) {
+    const tagged = Object.create(this, {
+      operation: { value: operation },
+    });
+    return await tagged[method](...args);
+  }
+
+  setStatus(message) {
+    const statusElement = document.getElementById("statusMessage");
+    if (statusElement) statusElement.textContent = message;
+  }
+
+  updateProgress(percent, text) {
+    const progressFill = document.getElementById("progressFill");
+    const progressText = document.getElementById("progressText");
+
+    if (progressFill)
+      progressFill.style.width = `${Utils.clamp(percent, 0, 100)}%`;
+    if (progressText) progressText.textContent = text;
+  }
 
   setConnectionStatus(service, status) {
     const statusDot = document.getElementById(`${service}Status`);
     const statusText = document.getElementById(`${service}StatusText`);
 
-    if (statusDot) statusDot.className = `status-dot ${status}`;
-    if (statusText) {
-      statusText.textContent =
-        status === "connected"
-          ? "Connected"
-          : status === "error"
-          ? "Error"
-          : "Disconnected";
+    if (statusDot) statusDot.className = `status-dot ${status}`;
+    if (statusText) {
+      statusText.textContent =
+        status === "connected"
+          ? "Connected"
+          : status === "error"
+          ? "Error"
+          : "Disconnected";
+    }
+  }
+
+  switchTab(tabName) {
+    // Update tab UI
+    document
+      .querySelectorAll(".tab")
+      .forEach((tab) => tab.classList.remove("active"));
+    document
+      .querySelectorAll(".tab-content")
+      .forEach((content) => content.classList.add("hidden"));
+
+    const activeTab = Array.from(document.querySelectorAll(".tab")).find(
+      (tab) => tab.textContent.toLowerCase().includes(tabName)
+    );
+    if (activeTab) activeTab.classList.add("active");
+
+    const tabContent = document.getElementById(`${tabName}-tab`);
+    if (tabContent) tabContent.classList.remove("hidden");
+
+    this.state.currentService = tabName;
+    this.updateUIState();
+  }
+
+  saveProxySettings() {
+    const input = document.getElementById("corsProxyUrl");
+    const proxyUrl = input.value.trim();
+
+    if (proxyUrl && !/^https?:\/\//.test(proxyUrl)) {
+      this.writeOutput(
+        "Proxy URL must start with http:// or https://",
+        "ERROR"
+      );
+      return;
+    }
+
+    API_CONFIG.corsProxy = proxyUrl;
+    if (proxyUrl) {
+      Storage.set("onePace_corsProxy", proxyUrl);
+      this.writeOutput(`CORS proxy set to ${proxyUrl}`, "SUCCESS");
+      this.setStatus("CORS proxy saved");
+    } else {
+      Storage.remove("onePace_corsProxy");
+      this.writeOutput("CORS proxy disabled - requests go direct", "INFO");
+      this.setStatus("CORS proxy disabled");
+    }
+  }
+
+  async getPlexToken() {
+    const username = document.getElementById("plexUser").value;
+    const password = document.getElementById("plexPass").value;
+
+    if (!username || !password) {
+      this.writeOutput("Please enter both username and password", "ERROR");
+      return;
+    }
+
+    const loginBtn = document.getElementById("plexLoginBtn");
+    const originalText = loginBtn.textContent;
+    loginBtn.disabled = true;
+    loginBtn.textContent = "Authenticating...";
+
+    this.setStatus("Signing in to Plex...");
+    this.writeOutput("Attempting Plex authentication...", "INFO");
+
+    try {
+      const result = await this.api.plex.authenticate(username, password);
+      await this.storePlexToken(result.token);
+    } catch (error) {
+      this.writeOutput(`Sign in failed: ${error.message}`, "ERROR");
+      this.setStatus(`Sign in failed: ${error.message}`);
+      this.setConnectionStatus("plex", "error");
+    } finally {
+      loginBtn.disabled = false;
+      loginBtn.textContent = originalText;
+      this.updateUIState();
+    }
+  }
+
+  async storePlexToken(token) {
+    this.state.userToken = token;
+    this.setConnectionStatus("plex", "connected");
+
+    const cacheToken = document.getElementById("cacheToken").checked;
+    if (cacheToken) {
+      Storage.set("onePace_plexToken", token, 30 * 24 * 60 * 60 * 1000);
+      this.writeOutput("Token acquired and cached!", "SUCCESS");
+      this.setStatus("Token acquired and cached!");
+    } else {
+      this.writeOutput("Token acquired but not cached.", "SUCCESS");
+      this.setStatus("Token acquired but not cached.");
+    }
+
+    // Auto-load servers
+    await this.getServers();
+  }
+
+  async linkPlexAccount() {
+    const linkBtn = document.getElementById("plexLinkBtn");
+    const pinDisplay = document.getElementById("plexPinCode");
+
+    // A second click while waiting cancels the pending link
+    if (this.state.plexPinActive) {
+      this.state.plexPinActive = false;
+      return;
+    }
+
+    this.state.plexPinActive = true;
+    const originalText = linkBtn.textContent;
+    linkBtn.textContent = "Cancel Linking";
+
+    this.setStatus("Requesting Plex link code...");
+    this.writeOutput("Requesting Plex link code...", "INFO");
+
+    try {
+      const pin = await this.api.plex.createPin();
+
+      pinDisplay.textContent = pin.code;
+      pinDisplay.classList.remove("hidden");
+      this.writeOutput(
+        `Go to ${API_CONFIG.plex.linkUrl} and enter the code: ${pin.code}`,
+        "INFO"
+      );
+      this.setStatus(`Waiting for code ${pin.code} to be linked...`);
+
+      let token = null;
+      while (this.state.plexPinActive && Date.now() < pin.expiresAt) {
+        await Utils.sleep(API_CONFIG.plex.pinPollInterval);
+        if (!this.state.plexPinActive) break;
+
+        token = await this.api.plex.checkPin(pin.id);
+        if (token) break;
+      }
+
+      if (token) {
+        this.writeOutput("Plex account linked", "SUCCESS");
+        await this.storePlexToken(token);
+      } else if (!this.state.plexPinActive) {
+        this.writeOutput("Plex linking cancelled", "WARNING");
+        this.setStatus("Plex linking cancelled");
+      } else {
+        throw new Error("Link code expired before it was claimed");
+      }
+    } catch (error) {
+      this.writeOutput(`Plex linking failed: ${error.message}`, "ERROR");
+      this.setStatus(`Plex linking failed: ${error.message}`);
+      this.setConnectionStatus("plex", "error");
+    } finally {
+      this.state.plexPinActive = false;
+      pinDisplay.classList.add("hidden");
+      pinDisplay.textContent = "";
+      linkBtn.textContent = originalText;
+      this.updateUIState();
+    }
+  }
+
+  async testMediaServerConnection(service) {
+    const { name } = MEDIA_SERVERS[service];
+    const url = document.getElementById(`${service}Url`).value;
+    const apiKey = document.getElementById(`${service}Token`).value;
+
+    if (!url || !apiKey) {
+      this.writeOutput("Please provide both URL and API Key", "ERROR");
+      return;
+    }
+
+    const testBtn = document.getElementById(`${service}TestBtn`);
+    const originalText = testBtn.textContent;
+    testBtn.disabled = true;
+    testBtn.textContent = "Testing...";
+
+    this.setStatus(`Testing ${name} connection...`);
+    this.writeOutput(`Testing ${name} connection...`, "INFO");
+
+    try {
+      const result = await this.api[service].testConnection(url, apiKey);
+      this.state[`${service}Session`] = {
+        url,
+        apiKey,
+        serverName: result.serverName,
+      };
+
+      this.setConnectionStatus(service, "connected");
+      this.writeOutput(
+        `${name} connection successful to: ${result.serverName}`,
+        "SUCCESS"
+      );
+      this.setStatus(`Connected to ${name}: ${result.serverName}`);
+
+      await this.loadMediaServerUsers(service);
+
+      // Cache credentials if requested
+      const cacheUrl = document.getElementById(`cache${name}Url`).checked;
+      const cacheToken = document.getElementById(`cache${name}Token`).checked;
+
+      if (cacheUrl || cacheToken) {
+        const cacheData = {};
+        if (cacheUrl) cacheData.url = url;
+        if (cacheToken) cacheData.apiKey = apiKey;
+        cacheData.userId = this.api[service].userId;
+        Storage.set(
+          `onePace_${service}Credentials`,
+          cacheData,
+          30 * 24 * 60 * 60 * 1000
+        );
+        this.writeOutput(`${name} credentials cached`, "INFO");
+      }
+    } catch (error) {
+      this.writeOutput(`${name} connection failed: ${error.message}`, "ERROR");
+      this.setStatus(`Connection failed: ${error.message}`);
+      this.setConnectionStatus(service, "error");
+    } finally {
+      testBtn.disabled = false;
+      testBtn.textContent = originalText;
+      this.updateUIState();
+    }
+  }
+
+  async signInMediaServer(service) {
+    const { name } = MEDIA_SERVERS[service];
+    const url = document.getElementById(`${service}Url`).value;
+    const username = document.getElementById(`${service}Username`).value;
+    const password = document.getElementById(`${service}Password`).value;
+
+    if (!url || !username) {
+      this.writeOutput("Please provide both URL and username", "ERROR");
+      return;
+    }
+
+    const signInBtn = document.getElementById(`${service}SignInBtn`);
+    const originalText = signInBtn.textContent;
+    signInBtn.disabled = true;
+    signInBtn.textContent = "Signing in...";
+
+    this.setStatus(`Signing in to ${name}...`);
+
+    try {
+      const { accessToken, user } = await this.api[service].authenticateByName(
+        url,
+        username,
+        password
+      );
+      this.writeOutput(`Signed in to ${name} as ${user.Name}`, "SUCCESS");
+
+      // The access token works anywhere an API key does
+      document.getElementById(`${service}Token`).value = accessToken;
+      document.getElementById(`${service}Password`).value = "";
+    } catch (error) {
+      this.writeOutput(`${name} sign-in failed: ${error.message}`, "ERROR");
+      this.setStatus(`Sign-in failed: ${error.message}`);
+      this.setConnectionStatus(service, "error");
+      return;
+    } finally {
+      signInBtn.disabled = false;
+      signInBtn.textContent = originalText;
+    }
+
+    await this.testMediaServerConnection(service);
+  }
+
+  async loadMediaServerUsers(service) {
+    const select = document.getElementById(`${service}UserSelect`);
+    const api = this.api[service];
+
+    let users;
+    try {
+      users = await api.getUsers();
+    } catch (error) {
+      // Listing users needs admin rights; a signed-in user can still act as themselves
+      if (!api.authenticatedUser) throw error;
+      users = [api.authenticatedUser];
+      api.userId = api.authenticatedUser.Id;
+    }
+
+    if (select) {
+      select.innerHTML = "";
+      users.forEach((user) => {
+        const option = document.createElement("option");
+        option.value = user.Id;
+        option.textContent = user.Policy?.IsAdministrator
+          ? `${user.Name} (admin)`
+          : user.Name;
+        option.selected = user.Id === this.api[service].userId;
+        select.appendChild(option);
+      });
+      select.disabled = users.length === 0;
+    }
+
+    const activeUser = users.find(
+      (user) => user.Id === this.api[service].userId
+    );
+    this.writeOutput(
+      `${users.length} users found${
+        activeUser ? ` - acting as ${activeUser.Name}` : ""
+      }`,
+      "INFO"
+    );
+  }
+
+  selectMediaServerUser(service, userId) {
+    this.api[service].userId = userId;
+    const select = document.getElementById(`${service}UserSelect`);
+    const userName = select?.selectedOptions[0]?.textContent || userId;
+    this.writeOutput(
+      `${MEDIA_SERVERS[service].name} user set to ${userName}`,
+      "INFO"
+    );
+
+    const storageKey = `onePace_${service}Credentials`;
+    const cachedCreds = Storage.get(storageKey);
+    if (cachedCreds) {
+      Storage.set(
+        storageKey,
+        { ...cachedCreds, userId },
+        30 * 24 * 60 * 60 * 1000
+      );
+    }
+
+    // Results and previews belong to the previous user's view of the library
+    this.state.searchResults = [];
+    this.state.selectedShow = null;
+    this.state.pendingChanges = null;
+    this.renderSearchResults([]);
+    this.renderChangePreview();
+    this.updateUIState();
+  }
+
+  async getServers() {
+    const getServersBtn = document.getElementById("getServersBtn");
+    const originalText = getServersBtn.textContent;
+    getServersBtn.disabled = true;
+    getServersBtn.textContent = "Loading...";
+
+    this.setStatus("Getting servers...");
+    this.writeOutput("Fetching server list...", "INFO");
+
+    try {
+      let servers = [];
+
+      if (this.state.currentService === "plex") {
+        servers = await this.api.plex.getServers();
+      } else if (MEDIA_SERVERS[this.state.currentService]) {
+        const service = this.state.currentService;
+        const session = this.state[`${service}Session`];
+        const url = new URL(session.url);
+        servers = [
+          {
+            name: session.serverName,
+            address: url.hostname,
+            port: url.port || MEDIA_SERVERS[service].defaultPort,
+            url: session.url,
+            apiKey: session.apiKey,
+            scheme: url.protocol.replace(":", ""),
+          },
+        ];
+      }
+
+      this.state.serverList = servers;
+      this.renderServerList(servers);
+
+      this.writeOutput(`${servers.length} servers found.`, "SUCCESS");
+      this.setStatus(`${servers.length} servers found.`);
+    } catch (error) {
+      this.writeOutput(`Error getting servers: ${error.message}`, "ERROR");
+      this.setStatus(`Error getting servers: ${error.message}`);
+    } finally {
+      getServersBtn.disabled = false;
+      getServersBtn.textContent = originalText;
+      this.updateUIState();
+    }
+  }
+
+  renderServerList(servers) {
+    const serverListElement = document.getElementById("serverList");
+    if (!serverListElement) return;
+
+    serverListElement.innerHTML = "";
+
+    servers.forEach((server, index) => {
+      const item = document.createElement("div");
+      item.className = "list-item";
+      if (!server.connections) {
+        item.textContent = `${server.name} (${server.address}:${server.port})`;
+      } else if (server.connection) {
+        const { type, latency } = server.connection;
+        const working = server.connections.filter((c) => c.reachable).length;
+        item.textContent = `${server.name} (${type}: ${server.address}:${server.port}, ${latency} ms - ${working}/${server.connections.length} connections reachable)`;
+      } else {
+        item.textContent = `${server.name} (unreachable - ${server.connections.length} connections tried)`;
+        item.style.color = "var(--clr-error)";
+      }
+      item.dataset.index = index;
+      item.onclick = () => this.selectServer(index);
+      serverListElement.appendChild(item);
+    });
+  }
+
+  selectServer(index) {
+    // Remove previous selection
+    document.querySelectorAll("#serverList .list-item").forEach((item) => {
+      item.classList.remove("selected");
+    });
+
+    // Select new server
+    const selectedItem = document.querySelectorAll("#serverList .list-item")[
+      index
+    ];
+    if (selectedItem) selectedItem.classList.add("selected");
+
+    this.state.selectedServer = this.state.serverList[index];
+    this.writeOutput(
+      `Selected server: ${this.state.selectedServer.name}`,
+      "INFO"
+    );
+
+    const connections = this.state.selectedServer.connections || [];
+    connections.forEach((connection) => {
+      const status = connection.reachable
+        ? `${connection.latency} ms`
+        : "unreachable";
+      this.writeOutput(
+        `      ${connection.type} ${connection.uri} - ${status}`,
+        connection.reachable ? "INFO" : "WARNING"
+      );
+    });
+    if (this.state.selectedServer.connection) {
+      this.writeOutput(
+        `Using ${this.state.selectedServer.connection.type} connection ${this.state.selectedServer.connection.uri}`,
+        "SUCCESS"
+      );
+    } else if (connections.length > 0) {
+      this.writeOutput(
+        "No connection to this server responded - requests will likely fail",
+        "WARNING"
+      );
+    }
+    this.updateUIState();
+  }
+
+  async searchShow(service) {
+    const searchTerm = document.getElementById("searchTerm").value;
+
+    if (!searchTerm) {
+      this.writeOutput("Enter a show name", "ERROR");
+      return;
+    }
+
+    if (!this.state.selectedServer) {
+      this.writeOutput("No server selected", "ERROR");
+      return;
+    }
+
+    const searchBtn = document.getElementById(
+      `search${service.charAt(0).toUpperCase() + service.slice(1)}Btn`
+    );
+    const originalText = searchBtn.textContent;
+    searchBtn.disabled = true;
+    searchBtn.textContent = "Searching...";
+
+    this.setStatus("Searching...");
+    this.writeOutput(`Searching for "${searchTerm}" in ${service}...`, "INFO");
+
+    try {
+      let searchResults = [];
+
+      if (service === "plex") {
+        searchResults = await this.api.plex.searchShows(
+          this.state.selectedServer,
+          searchTerm
+        );
+      } else if (MEDIA_SERVERS[service]) {
+        searchResults = await this.api[service].searchShows(searchTerm);
+      }
+
+      this.state.searchResults = searchResults;
+      this.renderSearchResults(searchResults);
+
+      if (searchResults.length > 0) {
+        this.writeOutput(`Shows found: ${searchResults.length}`, "SUCCESS");
+        this.setStatus(`Found ${searchResults.length} shows`);
+      } else {
+        this.writeOutput("No shows found", "WARNING");
+        this.setStatus("No shows found");
+      }
+    } catch (error) {
+      this.writeOutput(`Error searching: ${error.message}`, "ERROR");
+      this.setStatus(`Search failed: ${error.message}`);
+    } finally {
+      searchBtn.disabled = false;
+      searchBtn.textContent = originalText;
+      this.updateUIState();
+    }
+  }
+
+  renderSearchResults(results) {
+    const searchResultsElement = document.getElementById("searchResults");
+    if (!searchResultsElement) return;
+
+    searchResultsElement.innerHTML = "";
+
+    if (results.length > 0) {
+      results.forEach((show, index) => {
+        const item = document.createElement("div");
+        item.className = "list-item";
+        item.textContent = `${show.title}${show.year ? ` (${show.year})` : ""}`;
+        item.dataset.index = index;
+        item.onclick = () => this.selectShow(index);
+        searchResultsElement.appendChild(item);
+      });
+    } else {
+      const item = document.createElement("div");
+      item.className = "list-item";
+      item.textContent = "No shows found";
+      item.style.fontStyle = "italic";
+      item.style.color = "var(--clr-surface-a50)";
+      searchResultsElement.appendChild(item);
+    }
+  }
+
+  selectShow(index) {
+    // Remove previous selection
+    document.querySelectorAll("#searchResults .list-item").forEach((item) => {
+      item.classList.remove("selected");
+    });
+
+    // Select new show
+    const selectedItem = document.querySelectorAll("#searchResults .list-item")[
+      index
+    ];
+    if (selectedItem) selectedItem.classList.add("selected");
+
+    this.state.selectedShow = this.state.searchResults[index];
+
+    const selectedShowElement = document.getElementById("selectedShow");
+    if (selectedShowElement) {
+      const identifier =
+        this.state.selectedShow.ratingKey || this.state.selectedShow.id;
+      selectedShowElement.textContent = `Selected: ${this.state.selectedShow.title} (${identifier})`;
+    }
+
+    this.writeOutput(`Selected show: ${this.state.selectedShow.title}`, "INFO");
+    this.updateUIState();
+  }
+
+  async downloadAssets() {
+    const downloadBtn = document.getElementById("downloadBtn");
+    const originalText = downloadBtn.textContent;
+    downloadBtn.disabled = true;
+    downloadBtn.textContent = "Downloading...";
+
+    this.setStatus("Downloading assets from GitHub...");
+    this.writeOutput("Starting download of One Pace assets...", "INFO");
+
+    try {
+      const response = await Utils.fetchWithCORS(API_CONFIG.github.assetsUrl);
+
+      if (!response.ok) {
+        throw new Error(`Download failed: ${response.status}`);
+      }
+
+      const arrayBuffer = await response.arrayBuffer();
+      this.state.downloadedAssets = arrayBuffer;
+
+      document.getElementById("extractBtn").disabled = false;
+
+      this.writeOutput(
+        `Downloaded ${Utils.formatBytes(arrayBuffer.byteLength)} of assets`,
+        "SUCCESS"
+      );
+      this.setStatus(
+        `Downloaded ${Utils.formatBytes(arrayBuffer.byteLength)} of assets`
+      );
+    } catch (error) {
+      this.writeOutput(`Download failed: ${error.message}`, "ERROR");
+      this.setStatus(`Download failed: ${error.message}`);
+    } finally {
+      downloadBtn.disabled = false;
+      downloadBtn.textContent = originalText;
+    }
+  }
+
+  async extractAssets() {
+    if (!this.state.downloadedAssets) {
+      this.writeOutput("No assets downloaded yet", "ERROR");
+      return;
+    }
+
+    this.writeOutput("Extracting and processing assets...", "INFO");
+    this.setStatus("Processing assets...");
+
+    try {
+      const archive = new ZipArchive(this.state.downloadedAssets);
+      this.writeOutput(
+        `Archive contains ${archive.entries.length} entries`,
+        "INFO"
+      );
+
+      const index = this.buildAssetIndex(archive);
+      this.state.assetIndex = index;
+
+      const seasonNumbers = Object.keys(index.seasons);
+      const episodeCount = seasonNumbers.reduce(
+        (count, season) =>
+          count + Object.keys(index.seasons[season].episodes).length,
+        0
+      );
+
+      this.writeOutput(
+        `Indexed ${index.posterCount} posters and ${index.metadataCount} metadata files`,
+        "SUCCESS"
+      );
+      this.writeOutput(
+        `Assets cover ${seasonNumbers.length} seasons and ${episodeCount} episodes`,
+        "INFO"
+      );
+      if (index.unmatched.length > 0) {
+        this.writeOutput(
+          `${index.unmatched.length} asset files could not be assigned to a season`,
+          "WARNING"
+        );
+      }
+      this.setStatus("Assets ready");
+    } catch (error) {
+      this.writeOutput(`Asset extraction failed: ${error.message}`, "ERROR");
+      this.setStatus("Asset extraction failed");
+    }
+  }
+
+  buildAssetIndex(archive) {
+    const index = {
+      archive,
+      show: { posters: [], metadata: [] },
+      seasons: {},
+      unmatched: [],
+      posterCount: 0,
+      metadataCount: 0,
+    };
+
+    const getSeason = (number) => {
+      if (!index.seasons[number]) {
+        index.seasons[number] = { posters: [], metadata: [], episodes: {} };
+      }
+      return index.seasons[number];
+    };
+
+    for (const entry of archive.entries) {
+      if (entry.directory) continue;
+
+      const ext = entry.name
+        .substring(entry.name.lastIndexOf("."))
+        .toLowerCase();
+      const type = ASSET_TYPES.posters.includes(ext)
+        ? "posters"
+        : ASSET_TYPES.metadata.includes(ext)
+        ? "metadata"
+        : null;
+      if (!type) continue;
+
+      // GitHub archives wrap everything in a "<repo>-<branch>" folder
+      const folders = entry.path.split("/").slice(1, -1);
+      if (folders.some((folder) => folder.startsWith("."))) continue;
+      const baseName = entry.name.substring(0, entry.name.lastIndexOf("."));
+
+      let seasonNumber = null;
+      let episodeNumber = null;
+
+      const episodeMatch = FILE_PATTERNS.season.exec(baseName);
+      if (episodeMatch) {
+        seasonNumber = parseInt(episodeMatch.groups.season);
+        episodeNumber = parseInt(episodeMatch.groups.episode);
+      } else {
+        for (const segment of [...folders, baseName]) {
+          const seasonMatch = FILE_PATTERNS.seasonFolder.exec(segment);
+          if (seasonMatch) {
+            seasonNumber = parseInt(seasonMatch.groups.season);
+          } else if (FILE_PATTERNS.specials.test(segment)) {
+            seasonNumber = 0;
+          }
+        }
+      }
+
+      let bucket;
+      if (seasonNumber === null) {
+        // Loose files at the top of the show folder belong to the show
+        if (folders.length > 1) {
+          index.unmatched.push(entry);
+          continue;
+        }
+        bucket = index.show;
+      } else if (episodeNumber === null) {
+        bucket = getSeason(seasonNumber);
+      } else {
+        const season = getSeason(seasonNumber);
+        if (!season.episodes[episodeNumber]) {
+          season.episodes[episodeNumber] = { posters: [], metadata: [] };
+        }
+        bucket = season.episodes[episodeNumber];
+      }
+
+      bucket[type].push(entry);
+      if (type === "posters") index.posterCount++;
+      else index.metadataCount++;
+    }
+
+    return index;
+  }
+
+  async selectMediaFolder() {
+    let rootHandle;
+    try {
+      rootHandle = await window.showDirectoryPicker({ mode: "readwrite" });
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        this.writeOutput(`Could not open folder: ${error.message}`, "ERROR");
+      }
+      return;
+    }
+
+    this.setStatus("Reading media folder...");
+
+    try {
+      const fileHandles = new Map();
+      const files = [];
+
+      const walk = async (directoryHandle, path) => {
+        for await (const handle of directoryHandle.values()) {
+          const handlePath = `${path}/${handle.name}`;
+          if (handle.kind === "directory") {
+            await walk(handle, handlePath);
+          } else {
+            const file = await handle.getFile();
+            files.push(file);
+            fileHandles.set(file, {
+              handle,
+              parent: directoryHandle,
+              path: handlePath,
+            });
+          }
+        }
+      };
+      await walk(rootHandle, rootHandle.name);
+
+      this.state.processedFiles = files;
+      this.state.fileHandles = fileHandles;
+      this.state.mediaDirectoryHandle = rootHandle;
+      document.getElementById("renameMediaPath").value = rootHandle.name;
+
+      this.writeOutput(
+        `Selected media root folder with write access: ${rootHandle.name} (${files.length} files)`,
+        "INFO"
+      );
+      this.setStatus("Media folder ready");
+    } catch (error) {
+      this.writeOutput(`Could not read folder: ${error.message}`, "ERROR");
+      this.setStatus("Could not read media folder");
+    } finally {
+      this.updateUIState();
+    }
+  }
+
+  async moveFileHandle(entry, targetDirectory, newName) {
+    if (typeof entry.handle.move === "function") {
+      await entry.handle.move(targetDirectory, newName);
+      return;
+    }
+
+    // Older implementations can't move, so copy and remove the original
+    const targetHandle = await targetDirectory.getFileHandle(newName, {
+      create: true,
+    });
+    const writable = await targetHandle.createWritable();
+    const file = await entry.handle.getFile();
+    await file.stream().pipeTo(writable);
+    await entry.parent.removeEntry(entry.handle.name);
+  }
+
+  async fileExists(directoryHandle, name) {
+    try {
+      await directoryHandle.getFileHandle(name);
+      return true;
+    } catch (error) {
+      if (error.name === "NotFoundError") return false;
+      throw error;
+    }
+  }
+
+  async executeRenamePlan(renamePlan) {
+    const rootHandle = this.state.mediaDirectoryHandle;
+    const targetFolders = {};
+    const claimedTargets = new Set();
+    const journalRun = UndoJournal.startRun("rename", {
+      rootName: rootHandle.name,
+    });
+    let renamedCount = 0;
+
+    for (const [index, item] of renamePlan.entries()) {
+      if (this.state.operationCancelled) {
+        this.writeOutput("Rename cancelled by user", "WARNING");
+        break;
+      }
+
+      this.updateProgress(
+        90 + ((index + 1) / renamePlan.length) * 10,
+        `Renaming: ${item.file.name}`
+      );
+
+      const targetPath = item.folder
+        ? `${item.folder}/${item.newName}`
+        : item.newName;
+      const logDetails = {
+        itemId: item.entry.path,
+        season: item.seasonNumber,
+        episode: item.episodeNumber,
+      };
+
+      let moved = false;
+      try {
+        if (claimedTargets.has(targetPath)) {
+          this.writeOutput(
+            `Collision: more than one file maps to '${targetPath}'. Skipping '${item.file.name}'.`,
+            "WARNING",
+            logDetails
+          );
+          continue;
+        }
+
+        if (!targetFolders[item.folder]) {
+          targetFolders[item.folder] = await this.getDirectoryByPath(
+            rootHandle,
+            item.folder,
+            true
+          );
+        }
+        const targetDirectory = targetFolders[item.folder];
+
+        if (await this.fileExists(targetDirectory, item.newName)) {
+          this.writeOutput(
+            `Collision: '${targetPath}' already exists. Skipping '${item.file.name}'.`,
+            "WARNING",
+            logDetails
+          );
+          continue;
+        }
+
+        await this.moveFileHandle(item.entry, targetDirectory, item.newName);
+        claimedTargets.add(targetPath);
+        moved = true;
+        this.writeOutput(
+          `Renamed '${item.entry.path}' → '${targetPath}'`,
+          "SUCCESS",
+          logDetails
+        );
+        renamedCount++;
+      } catch (error) {
+        this.writeOutput(
+          `Failed to rename '${item.file.name}': ${error.message}`,
+          "ERROR",
+          logDetails
+        );
+      }
+
+      if (
+        moved &&
+        !UndoJournal.record(journalRun, {
+          oldFolder: item.entry.path.split("/").slice(1, -1).join("/"),
+          oldName: item.file.name,
+          newFolder: item.folder,
+          newName: item.newName,
+        })
+      ) {
+        this.writeOutput(
+          `Could not save undo entry for '${targetPath}' (storage full) - this rename can't be undone`,
+          "WARNING",
+          logDetails
+        );
+      }
+    }
+
+    return renamedCount;
+  }
+
+  async renameMediaFiles() {
+    if (!this.state.processedFiles || this.state.processedFiles.length === 0) {
+      this.writeOutput("No media files selected", "ERROR");
+      return;
+    }
+
+    this.writeOutput("Starting file rename operation...", "INFO");
+    this.setStatus("Loading metadata from Google Sheets...");
+    this.updateProgress(10, "Loading season mapping...");
+
+    const template = RenameTemplate.get();
+    const templateError = RenameTemplate.validate(template);
+    if (templateError) {
+      this.writeOutput(`Invalid rename template: ${templateError}`, "ERROR");
+      return;
+    }
+
+    const verifyChecksums = document.getElementById("verifyChecksums").checked;
+    const stopBtn = document.getElementById("stopBtn");
+    if (verifyChecksums) {
+      this.state.operationCancelled = false;
+      ChecksumWorker.reset();
+      stopBtn.disabled = false;
+    }
+
+    try {
+      // Load Google Sheets data
+      await this.loadSheetsData();
+
+      this.updateProgress(30, "Processing files...");
+
+      const lookups = this.buildEpisodeLookups();
+      const checksumIndex = verifyChecksums
+        ? this.buildChecksumIndex(lookups)
+        : null;
+      const animeOrder =
+        this.getEpisodeNumbering() === "anime"
+          ? this.buildAnimeOrder(lookups)
+          : null;
+      const releaseLookup =
+        animeOrder || /\{(?:chapters|episodes)\b/.test(template)
+          ? this.buildReleaseLookup(lookups)
+          : {};
+      const claimedEpisodes = new Map();
+      const integrity = { ok: 0, corrupt: 0, outdated: 0, unverified: 0 };
+
+      // Process video files
+      let processedCount = 0;
+      let renamedCount = 0;
+      const renamePlan = [];
+      const reviewItems = [];
+      const entryFor = (file) => this.state.fileHandles.get(file);
+      const writeMode =
+        this.state.mediaDirectoryHandle !== null &&
+        this.state.fileHandles.size > 0;
+
+      for (const file of this.state.processedFiles) {
+        const fileName = file.name;
+        const fileExt = fileName.substring(fileName.lastIndexOf("."));
+
+        if (!VIDEO_EXTENSIONS.includes(fileExt.toLowerCase())) {
+          continue;
+        }
+
+        processedCount++;
+        this.updateProgress(
+          30 + (processedCount / this.state.processedFiles.length) * 60,
+          `Processing: ${fileName}`
+        );
+
+        const matched = this.matchMediaFile(fileName, lookups);
+        if (matched.error) {
+          this.writeOutput(matched.error, "WARNING");
+          reviewItems.push(matched.review);
+          continue;
+        }
+
+        if (verifyChecksums) {
+          const progress =
+            30 + (processedCount / this.state.processedFiles.length) * 60;
+          const check = await this.verifyMediaFile(
+            file,
+            matched,
+            checksumIndex,
+            (fraction) =>
+              this.updateProgress(
+                progress,
+                `Verifying ${fileName} (${Math.round(fraction * 100)}%)`
+              )
+          );
+          integrity[check.status]++;
+          if (check.computed) matched.crc = check.computed;
+
+          if (check.message) {
+            this.writeOutput(
+              check.message,
+              check.status === "corrupt" ? "ERROR" : "WARNING",
+              {
+                itemId: fileName,
+                season: matched.seasonNumber,
+                episode: matched.episodeNumber,
+              }
+            );
+            reviewItems.push({
+              fileName,
+              reason: check.message,
+              arc: null,
+              suggestions: [],
+            });
+          }
+          // Don't file a broken download away as if it were good
+          if (check.status === "corrupt") continue;
+        }
+
+        let animeEpisodes = null;
+        if (animeOrder) {
+          animeEpisodes = this.getAnimeEpisodes(matched, animeOrder);
+          if (animeEpisodes.length === 0) {
+            const message = `No original episode range for '${fileName}' in the release sheet or file name`;
+            this.writeOutput(message, "WARNING", { itemId: fileName });
+            reviewItems.push({
+              fileName,
+              reason: message,
+              arc: null,
+              suggestions: [],
+            });
+            continue;
+          }
+
+          // Two files of one cut claiming an anime episode would collide;
+          // a regular and an extended cut of the same episode are expected
+          const claimKey = (number) =>
+            `${matched.parsed.variant || ""}:${number}`;
+          const clashes = animeEpisodes.filter((number) =>
+            claimedEpisodes.has(claimKey(number))
+          );
+          if (clashes.length > 0) {
+            const other = claimedEpisodes.get(claimKey(clashes[0]));
+            const message = `'${fileName}' overlaps '${other}' on anime episodes ${clashes.join(
+              ", "
+            )}`;
+            this.writeOutput(message, "WARNING", { itemId: fileName });
+            reviewItems.push({
+              fileName,
+              reason: message,
+              arc: null,
+              suggestions: [],
+            });
+          }
+          animeEpisodes.forEach((number) => {
+            if (!claimedEpisodes.has(claimKey(number)))
+              claimedEpisodes.set(claimKey(number), fileName);
+          });
+        }
+
+        const { seasonNumber, episodeNumber } = matched;
+        const target = this.renderRenameTarget(
+          template,
+          matched,
+          lookups,
+          releaseLookup,
+          animeEpisodes
+        );
+        const newName = `${target.name}${fileExt}`;
+        const targetPath = target.folder
+          ? `${target.folder}/${newName}`
+          : newName;
+
+        const entry = entryFor(file);
+        const inTargetFolder = entry
+          ? entry.path.split("/").slice(1, -1).join("/") === target.folder
+          : true;
+
+        if (fileName === newName && inTargetFolder) {
+          this.writeOutput(`Already correct: '${fileName}'`, "INFO");
+        } else if (writeMode) {
+          renamePlan.push({
+            file,
+            entry,
+            folder: target.folder,
+            newName,
+            seasonNumber,
+            episodeNumber,
+          });
+        } else {
+          this.writeOutput(
+            `Would rename '${fileName}' → '${targetPath}'`,
+            "SUCCESS",
+            { itemId: fileName, season: seasonNumber, episode: episodeNumber }
+          );
+          renamedCount++;
+        }
+
+        if (!writeMode) await Utils.sleep(50);
+      }
+
+      if (verifyChecksums) {
+        this.writeOutput(
+          `Integrity: ${integrity.ok} verified, ${integrity.corrupt} corrupt, ${integrity.outdated} outdated, ${integrity.unverified} without a known CRC`,
+          integrity.corrupt + integrity.outdated > 0 ? "WARNING" : "SUCCESS"
+        );
+      }
+
+      this.state.reviewItems = reviewItems;
+      this.renderReviewList();
+      if (reviewItems.length > 0) {
+        this.writeOutput(
+          `${reviewItems.length} files need review - see Files Needing Review for suggested matches`,
+          "WARNING"
+        );
+      }
+
+      if (writeMode) {
+        if (renamePlan.length === 0) {
+          this.updateProgress(100, "Rename operation completed");
+          this.writeOutput(
+            `Processed ${processedCount} files, nothing to rename`,
+            "SUCCESS"
+          );
+          this.setStatus("File renaming completed");
+          return;
+        }
+
+        renamePlan.forEach((item) => {
+          const targetPath = item.folder
+            ? `${item.folder}/${item.newName}`
+            : item.newName;
+          this.writeOutput(
+            `Will rename '${item.entry.path}' → '${targetPath}'`,
+            "INFO"
+          );
+        });
+
+        const confirmed = window.confirm(
+          `Rename and move ${renamePlan.length} files using the template '${template}'?\n\nThis modifies files on disk.`
+        );
+        if (!confirmed) {
+          this.updateProgress(0, "Rename cancelled");
+          this.writeOutput("Rename cancelled - no files were changed", "INFO");
+          this.setStatus("Rename cancelled");
+          return;
+        }
+
+        this.state.operationCancelled = false;
+        renamedCount = await this.executeRenamePlan(renamePlan);
+
+        this.updateProgress(100, "Rename operation completed");
+        this.writeOutput(
+          `Processed ${processedCount} files, ${renamedCount} renamed`,
+          "SUCCESS"
+        );
+        this.writeOutput(
+          "Re-open the folder to refresh the file list after renaming",
+          "INFO"
+        );
+        this.state.processedFiles = [];
+        this.state.fileHandles = new Map();
+        document.getElementById("renameMediaPath").value = "";
+        this.updateUIState();
+      } else {
+        this.updateProgress(100, "Rename operation completed");
+        this.writeOutput(
+          `Processed ${processedCount} files, ${renamedCount} would be renamed`,
+          "SUCCESS"
+        );
+        this.writeOutput(
+          "Note: This is a simulation - actual files are not modified in browser",
+          "INFO"
+        );
+      }
+      this.setStatus("File renaming completed");
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.writeOutput("Rename cancelled by user", "WARNING");
+        this.setStatus("Operation cancelled");
+        return;
+      }
+      this.writeOutput(
+        `Error during rename operation: ${error.message}`,
+        "ERROR"
+      );
+      this.setStatus("Rename operation failed");
+    } finally {
+      if (verifyChecksums) stopBtn.disabled = true;
+    }
+  }
+
+  renderRenameTarget(
+    template,
+    matched,
+    lookups,
+    releaseLookup,
+    animeEpisodes = null
+  ) {
+    const { seasonNumber, episodeNumber, parsed } = matched;
+    const release = releaseLookup[matched.key];
+    // Original order libraries list everything as One Piece season 1
+    const numbering = animeEpisodes
+      ? {
+          show: "One Piece",
+          season: 1,
+          episode: animeEpisodes[0],
+          first: animeEpisodes[0],
+          last: animeEpisodes[animeEpisodes.length - 1],
+        }
+      : { show: "One Pace", season: seasonNumber, episode: episodeNumber };
+
+    return RenameTemplate.render(template, {
+      ...numbering,
+      title: matched.episode.title,
+      arc: lookups.seasonTitles[seasonNumber] || parsed.arc,
+      episodes: parsed.episodes || release?.Episodes || null,
+      chapters: release?.Chapters || null,
+      crc: matched.crc || parsed.crc,
+      resolution: parsed.resolution,
+      // Keep extended/alternate cuts apart from the regular release
+      variant: parsed.variant,
+    });
+  }
+
+  renderRenamePreview() {
+    const input = document.getElementById("renameTemplate");
+    const preview = document.getElementById("renameTemplatePreview");
+    if (!input || !preview) return;
+
+    const error = RenameTemplate.validate(input.value);
+    input.setAttribute("aria-invalid", error ? "true" : "false");
+    if (error) {
+      preview.textContent = error;
+      return;
+    }
+
+    const numbering =
+      this.getEpisodeNumbering() === "anime"
+        ? { show: "One Piece", season: 1, episode: 1, first: 1, last: 3 }
+        : { show: "One Pace", season: 1, episode: 1 };
+    const sample = RenameTemplate.render(input.value, {
+      ...numbering,
+      title: "Romance Dawn, the Dawn of an Adventure",
+      arc: "Romance Dawn",
+      episodes: "1-3",
+      chapters: "1",
+      crc: "1A2B3C4D",
+      resolution: "1080p",
+      variant: null,
+    });
+    const path = sample.folder
+      ? `${sample.folder}/${sample.name}`
+      : sample.name;
+    preview.textContent = `Preview: ${path}.mkv`;
+  }
+
+  setEpisodeNumbering(numbering) {
+    Storage.set("onePace_episodeNumbering", numbering);
+
+    // Switch between the preset names along with the mode, but never
+    // replace a custom template
+    const template = document.getElementById("renameTemplate").value.trim();
+    const isPreset = RenameTemplate.getPreset(template) !== "custom";
+    const hasRange = /\{(?:range|first)\b/.test(template);
+    if (numbering === "anime" && !hasRange && isPreset) {
+      this.selectRenamePreset("anime");
+    } else if (numbering === "onepace" && template === RENAME_PRESETS.anime) {
+      this.selectRenamePreset("default");
+    } else {
+      this.renderRenamePreview();
+      if (numbering === "anime" && !hasRange) {
+        this.writeOutput(
+          "Your rename template has no {range} or {first}, so files will only be named after the first anime episode they replace",
+          "WARNING"
+        );
+      }
+    }
+
+    this.writeOutput(
+      numbering === "anime"
+        ? "Numbering files and metadata by original anime episode"
+        : "Numbering files and metadata by One Pace arc and episode",
+      "INFO"
+    );
+  }
+
+  selectRenamePreset(preset) {
+    const input = document.getElementById("renameTemplate");
+    if (!RENAME_PRESETS[preset] || !input) return;
+
+    input.value = RENAME_PRESETS[preset];
+    this.saveRenameTemplate();
+  }
+
+  saveRenameTemplate() {
+    const input = document.getElementById("renameTemplate");
+    const template = input.value.trim();
+    this.renderRenamePreview();
+    document.getElementById("renameTemplatePreset").value =
+      RenameTemplate.getPreset(template);
+
+    const error = RenameTemplate.validate(template);
+    if (error) {
+      this.writeOutput(`Rename template not saved: ${error}`, "WARNING");
+      return;
+    }
+
+    RenameTemplate.save(template);
+    this.writeOutput(`Rename template set to '${template}'`, "INFO");
+  }
+
+  async loadChecksumList(file) {
+    try {
+      const entries = Utils.parseChecksumList(await file.text());
+      if (entries.length === 0) {
+        throw new Error("no 'filename CRC32' lines found");
+      }
+
+      this.state.checksumList = entries;
+      document.getElementById(
+        "checksumStatus"
+      ).textContent = `${entries.length} checksums loaded from ${file.name}`;
+      this.writeOutput(
+        `Loaded ${entries.length} checksums from '${file.name}'`,
+        "SUCCESS"
+      );
+    } catch (error) {
+      this.writeOutput(
+        `Checksum list import failed: ${error.message}`,
+        "ERROR"
+      );
+    }
+  }
+
+  // CRCs by file name, and the current release CRCs by episode key and cut
+  buildChecksumIndex(lookups) {
+    const byName = new Map();
+    const byEpisode = new Map();
+
+    this.state.checksumList.forEach(({ fileName, crc }) => {
+      byName.set(fileName.toLowerCase(), crc);
+
+      const parsed = this.parseMediaFileName(fileName);
+      if (!parsed) return;
+      const seasonNumber =
+        parsed.seasonNumber ??
+        this.resolveArc(parsed.arc, lookups).seasonNumber;
+      if (seasonNumber === null) return;
+
+      const key = this.getChecksumKey(
+        `${seasonNumber}-${parsed.episodeNumber}`,
+        parsed.variant
+      );
+      if (!byEpisode.has(key)) byEpisode.set(key, new Set());
+      byEpisode.get(key).add(crc);
+    });
+
+    return { byName, byEpisode };
+  }
+
+  // Extended and alternate cuts have their own CRCs; only compare like with like
+  getChecksumKey(episodeKey, variant) {
+    return variant ? `${episodeKey}:${variant}` : episodeKey;
+  }
+
+  async verifyMediaFile(file, matched, checksumIndex, onProgress) {
+    let computed;
+    try {
+      computed = await ChecksumWorker.compute(file, onProgress);
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      return {
+        status: "unverified",
+        message: `Could not hash '${file.name}': ${error.message}`,
+      };
+    }
+
+    const expected =
+      checksumIndex.byName.get(file.name.toLowerCase()) || matched.parsed.crc;
+    if (expected && computed !== expected) {
+      return {
+        status: "corrupt",
+        computed,
+        message: `Corrupt download '${file.name}': CRC32 is ${computed}, expected ${expected}`,
+      };
+    }
+
+    // The list names the latest release; an older CRC means a newer version exists
+    const current = checksumIndex.byEpisode.get(
+      this.getChecksumKey(matched.key, matched.parsed.variant)
+    );
+    if (current && !current.has(computed)) {
+      const currentCrcs = Array.from(current).join(" / ");
+      return {
+        status: "outdated",
+        computed,
+        message: `Outdated release '${file.name}': CRC32 ${computed}, current release is ${currentCrcs}`,
+      };
+    }
+
+    return { status: expected || current ? "ok" : "unverified", computed };
+  }
+
+  getRelativePath(file) {
+    const entry = this.state.fileHandles.get(file);
+    const path = entry ? entry.path : file.webkitRelativePath || file.name;
+    // Drop the media root folder name
+    return path.split("/").slice(1).join("/") || file.name;
+  }
+
+  async buildArtworkFiles(seasonNumbers, episodeFiles) {
+    const assetIndex = this.state.assetIndex;
+    if (!assetIndex) return [];
+
+    const pickPoster = (assets) =>
+      assets?.posters.find((entry) => /poster/i.test(entry.name)) ||
+      assets?.posters[0];
+    const extOf = (entry) =>
+      entry.name.substring(entry.name.lastIndexOf(".")).toLowerCase();
+
+    // Kodi/Jellyfin local artwork names: poster, seasonNN-poster, <episode>-thumb
+    const wanted = [];
+    const showPoster = pickPoster(assetIndex.show);
+    if (showPoster) {
+      wanted.push([showPoster, `poster${extOf(showPoster)}`]);
+    }
+
+    seasonNumbers.forEach((seasonNumber) => {
+      const poster = pickPoster(assetIndex.seasons[seasonNumber]);
+      if (poster) {
+        const name =
+          seasonNumber == 0
+            ? "season-specials-poster"
+            : `season${seasonNumber.toString().padStart(2, "0")}-poster`;
+        wanted.push([poster, `${name}${extOf(poster)}`]);
+      }
+    });
+
+    episodeFiles.forEach(({ seasonNumber, episodeNumber, pathBase }) => {
+      const poster = pickPoster(
+        assetIndex.seasons[seasonNumber]?.episodes[episodeNumber]
+      );
+      if (poster) wanted.push([poster, `${pathBase}-thumb${extOf(poster)}`]);
+    });
+
+    return await Promise.all(
+      wanted.map(async ([entry, path]) => ({
+        path,
+        content: await assetIndex.archive.read(entry),
+      }))
+    );
+  }
+
+  buildNfoFiles() {
+    const lookups = this.buildEpisodeLookups();
+    const releaseLookup = this.buildReleaseLookup(lookups);
+    const animeOrder =
+      this.getEpisodeNumbering() === "anime"
+        ? this.buildAnimeOrder(lookups, releaseLookup)
+        : null;
+    const showTitle = animeOrder ? "One Piece" : "One Pace";
+    const nfoFiles = [];
+    const seasonFolders = {};
+    const episodeFiles = [];
+    const reviewItems = [];
+
+    const xml = (root, fields) => {
+      const lines = fields
+        .filter(
+          ([, value]) => value !== undefined && value !== null && value !== ""
+        )
+        .map(([tag, value]) => `  <${tag}>${Utils.escapeXML(value)}</${tag}>`);
+      return `<?xml version="1.0" encoding="UTF-8" standalone="yes" ?>\n<${root}>\n${lines.join(
+        "\n"
+      )}\n</${root}>\n`;
+    };
+
+    for (const file of this.state.processedFiles) {
+      const ext = file.name.substring(file.name.lastIndexOf("."));
+      if (!VIDEO_EXTENSIONS.includes(ext.toLowerCase())) continue;
+
+      const matched = this.matchMediaFile(file.name, lookups);
+      if (matched.error) {
+        this.writeOutput(matched.error, "WARNING");
+        reviewItems.push(matched.review);
+        continue;
+      }
+
+      const { seasonNumber, episodeNumber, key, episode } = matched;
+      const releaseInfo = releaseLookup[key];
+      const releaseDate =
+        releaseInfo?.["Release Date"] &&
+        !releaseInfo["Release Date"].includes("To Be Released")
+          ? releaseInfo["Release Date"]
+          : null;
+
+      let plot = episode.description || "";
+      if (releaseInfo?.Chapters)
+        plot += `\n\nChapters: ${releaseInfo.Chapters}`;
+      if (releaseInfo?.Episodes) plot += `\nEpisodes: ${releaseInfo.Episodes}`;
+
+      const relativePath = this.getRelativePath(file);
+      const folder = relativePath.split("/").slice(0, -1).join("/");
+      const baseName = file.name.substring(0, file.name.lastIndexOf("."));
+
+      const pathBase = folder ? `${folder}/${baseName}` : baseName;
+      const details = (season, number) =>
+        xml("episodedetails", [
+          ["title", episode.title],
+          ["showtitle", showTitle],
+          ["season", season],
+          ["episode", number],
+          ["plot", plot.trim()],
+          ["aired", releaseDate],
+          ["premiered", releaseDate],
+        ]);
+
+      if (animeOrder) {
+        const animeEpisodes = this.getAnimeEpisodes(matched, animeOrder);
+        if (animeEpisodes.length === 0) {
+          const message = `No original episode range for '${file.name}' in the release sheet or file name`;
+          this.writeOutput(message, "WARNING");
+          reviewItems.push({
+            fileName: file.name,
+            reason: message,
+            arc: null,
+            suggestions: [],
+          });
+          continue;
+        }
+
+        // Multi-episode files get one <episodedetails> block per episode
+        const blocks = animeEpisodes.map((number, index) => {
+          const block = details(1, number);
+          return index === 0 ? block : block.replace(/^<\?xml[^>]*>\n/, "");
+        });
+        episodeFiles.push({ seasonNumber, episodeNumber, pathBase });
+        nfoFiles.push({ path: `${pathBase}.nfo`, content: blocks.join("") });
+        continue;
+      }
+
+      episodeFiles.push({ seasonNumber, episodeNumber, pathBase });
+      nfoFiles.push({
+        path: `${pathBase}.nfo`,
+        content: details(seasonNumber, episodeNumber),
+      });
+
+      // season.nfo belongs in the season's own folder, not the show root
+      if (!(seasonNumber in seasonFolders)) {
+        seasonFolders[seasonNumber] =
+          folder || `Season ${seasonNumber.toString().padStart(2, "0")}`;
+      }
+    }
+
+    Object.entries(seasonFolders).forEach(([seasonNumber, folder]) => {
+      const seasonInfo = this.state.seasonMappingData.find(
+        (row) => row.part == seasonNumber
+      );
+      nfoFiles.push({
+        path: `${folder}/season.nfo`,
+        content: xml("season", [
+          ["title", seasonInfo?.title_en || `Season ${seasonNumber}`],
+          ["plot", seasonInfo?.description_en],
+          ["seasonnumber", seasonNumber],
+        ]),
+      });
+    });
+
+    nfoFiles.push({
+      path: "tvshow.nfo",
+      content: xml("tvshow", [
+        ["title", showTitle],
+        ["plot", this.state.selectedShow?.summary],
+      ]),
+    });
+
+    return {
+      nfoFiles,
+      episodeFiles,
+      seasonNumbers: Object.keys(seasonFolders),
+      reviewItems,
+    };
+  }
+
+  async exportNfoFiles() {
+    if (!this.state.processedFiles || this.state.processedFiles.length === 0) {
+      this.writeOutput("No media files selected", "ERROR");
+      return;
+    }
+
+    this.writeOutput("Generating NFO files...", "INFO");
+    this.setStatus("Generating NFO files...");
+
+    try {
+      await this.loadSheetsData();
+      const { nfoFiles, episodeFiles, seasonNumbers, reviewItems } =
+        this.buildNfoFiles();
+      const skipped = reviewItems.length;
+      this.state.reviewItems = reviewItems;
+      this.renderReviewList();
+      const artwork = await this.buildArtworkFiles(seasonNumbers, episodeFiles);
+
+      this.writeOutput(
+        `Generated ${nfoFiles.length} NFO files (${episodeFiles.length} episodes, ${skipped} files skipped)`,
+        "SUCCESS"
+      );
+      if (artwork.length > 0) {
+        this.writeOutput(
+          `Added ${artwork.length} artwork files from extracted assets`,
+          "INFO"
+        );
+      } else if (!this.state.assetIndex) {
+        this.writeOutput(
+          "No extracted assets - run Extract & Process to include artwork",
+          "INFO"
+        );
+      }
+      const outputFiles = [...nfoFiles, ...artwork];
+
+      const rootHandle = this.state.mediaDirectoryHandle;
+      if (
+        rootHandle &&
+        window.confirm(
+          `Write ${outputFiles.length} NFO and artwork files into '${rootHandle.name}'?\n\nExisting files with the same names will be overwritten.`
+        )
+      ) {
+        for (const outputFile of outputFiles) {
+          const parts = outputFile.path.split("/");
+          const fileName = parts.pop();
+          const directory = await this.getDirectoryByPath(
+            rootHandle,
+            parts.join("/"),
+            true
+          );
+          const handle = await directory.getFileHandle(fileName, {
+            create: true,
+          });
+          const writable = await handle.createWritable();
+          await writable.write(outputFile.content);
+          await writable.close();
+        }
+        this.writeOutput(
+          `Wrote ${outputFiles.length} files to disk`,
+          "SUCCESS"
+        );
+      } else {
+        Utils.downloadFile(
+          ZipArchive.build(outputFiles),
+          "onepace-nfo.zip",
+          "application/zip"
+        );
+        this.writeOutput(
+          "Downloaded onepace-nfo.zip - extract it into your media folder",
+          "SUCCESS"
+        );
+      }
+      this.setStatus("NFO export completed");
+    } catch (error) {
+      this.writeOutput(`NFO export failed: ${error.message}`, "ERROR");
+      this.setStatus("NFO export failed");
+    }
+  }
+
+  buildEpisodeLookups() {
+    // Build normalized title → season mapping; fan letters live in Specials
+    const titleToSeason = {
+      specials: 0,
+      [Utils.normalizeTitle("One Piece Fan Letter")]: 0,
+    };
+    const seasonTitles = { 0: "Specials" };
+    this.state.seasonMappingData.forEach((row) => {
+      if (row.part && row.title_en) {
+        const seasonNumber =
+          row.title_en === "Specials" ? 0 : parseInt(row.part);
+        titleToSeason[Utils.normalizeTitle(row.title_en)] = seasonNumber;
+        seasonTitles[seasonNumber] = row.title_en.trim();
+      }
+    });
+
+    // Build episode lookup
+    const lookups = { titleToSeason, seasonTitles, episodeLookup: {} };
+    this.state.episodeData.forEach((row) => {
+      const arc = row.arc_title?.trim();
+      const epPart = row.arc_part;
+      const title = row.title_en;
+      const description = row.description_en;
+
+      if (!arc || !epPart || !title) return;
+
+      const { seasonNumber } = this.resolveArc(arc, lookups, "episode sheet");
+      if (seasonNumber !== null) {
+        const key = `${seasonNumber}-${epPart}`;
+        lookups.episodeLookup[key] = { title, description };
+      }
+    });
+
+    return lookups;
+  }
+
+  // Exact (normalized) title, then a saved alias, then the closest fuzzy match
+  resolveArc(arcTitle, lookups, source = null) {
+    const normalized = Utils.normalizeTitle(arcTitle);
+
+    // Sheets repeat the arc on every row; resolve (and log) each name once
+    lookups.arcMatches = lookups.arcMatches || new Map();
+    if (lookups.arcMatches.has(normalized)) {
+      return lookups.arcMatches.get(normalized);
+    }
+    const result = this.matchArcTitle(arcTitle, normalized, lookups, source);
+    lookups.arcMatches.set(normalized, result);
+    return result;
+  }
+
+  matchArcTitle(arcTitle, normalized, lookups, source) {
+    const { titleToSeason, seasonTitles } = lookups;
+
+    if (normalized in titleToSeason) {
+      return {
+        seasonNumber: titleToSeason[normalized],
+        confidence: 1,
+        method: "exact",
+        candidates: [],
+      };
+    }
+
+    const aliasTarget = ArcAliases.get(arcTitle);
+    const aliasKey = aliasTarget && Utils.normalizeTitle(aliasTarget);
+    if (aliasKey && aliasKey in titleToSeason) {
+      return {
+        seasonNumber: titleToSeason[aliasKey],
+        confidence: 1,
+        method: "alias",
+        candidates: [],
+      };
+    }
+
+    const candidates = Object.entries(titleToSeason)
+      .map(([title, seasonNumber]) => ({
+        seasonNumber,
+        score: Utils.similarity(normalized, title),
+      }))
+      .filter(({ score }) => score >= APP_CONFIG.arcSuggestThreshold)
+      .sort((a, b) => b.score - a.score)
+      // Several spellings can point at the same season; keep the best one
+      .filter(
+        (candidate, index, all) =>
+          all.findIndex((c) => c.seasonNumber === candidate.seasonNumber) ===
+          index
+      )
+      .slice(0, 3);
+
+    const [best, runnerUp] = candidates;
+    const isClear = !runnerUp || best.score - runnerUp.score >= 0.1;
+    if (best && best.score >= APP_CONFIG.arcMatchThreshold && isClear) {
+      if (source) {
+        const percent = Math.round(best.score * 100);
+        const matchedTitle = seasonTitles[best.seasonNumber];
+        this.writeOutput(
+          `Matched arc '${arcTitle}' from ${source} to '${matchedTitle}' (${percent}% fuzzy match)`,
+          "INFO"
+        );
+      }
+      return {
+        seasonNumber: best.seasonNumber,
+        confidence: best.score,
+        method: "fuzzy",
+        candidates,
+      };
+    }
+
+    return { seasonNumber: null, confidence: 0, method: null, candidates };
+  }
+
+  parseMediaFileName(fileName) {
+    const extIndex = fileName.lastIndexOf(".");
+    let name = extIndex > 0 ? fileName.substring(0, extIndex) : fileName;
+    // Scene-style names use dots or underscores instead of spaces
+    if (!/\s/.test(name)) name = name.replace(/[._]+/g, " ");
+
+    const parsed = {
+      group: null,
+      episodes: null,
+      crc: null,
+      resolution: null,
+      variant: null,
+      version: null,
+      seasonNumber: null,
+      arc: null,
+      episodeNumber: null,
+      title: null,
+    };
+
+    const tags = [];
+    name = name.replace(FILE_PATTERNS.bracketTag, (_, tag) => {
+      tags.push(tag.trim());
+      return " ";
+    });
+
+    const readVariant = (text) => {
+      const match = FILE_PATTERNS.variant.exec(text);
+      if (!match) return text;
+      const variant = match.groups.variant.toLowerCase();
+      parsed.variant = variant === "extended" ? "Extended" : "Alternate";
+      return text.replace(match[0], " ");
+    };
+
+    tags.forEach((tag, index) => {
+      if (FILE_PATTERNS.episodeRange.test(tag)) {
+        parsed.episodes = tag;
+      } else if (FILE_PATTERNS.crc.test(tag)) {
+        parsed.crc = tag.toUpperCase();
+      } else {
+        const tokens = tag.split(/[\s,]+/);
+        const resolution = tokens.find((token) =>
+          FILE_PATTERNS.resolution.test(token)
+        );
+        if (resolution) parsed.resolution = resolution.toLowerCase();
+        const hadVariant = readVariant(tag) !== tag;
+        // The leading free-form tag is the release group
+        if (index === 0 && !resolution && !hadVariant) parsed.group = tag;
+      }
+    });
+
+    let text = readVariant(name.replace(/\s+-\s+/g, " "));
+    const version = FILE_PATTERNS.version.exec(text);
+    if (version) {
+      parsed.version = parseInt(version.groups.version);
+      text = text.replace(version[0], " ");
+    }
+    text = text
+      .split(/\s+/)
+      .filter((token) => token && !FILE_PATTERNS.resolution.test(token))
+      .join(" ")
+      .replace(/^one pace\b\s*/i, "");
+
+    const seasonMatch = FILE_PATTERNS.season.exec(text);
+    if (seasonMatch) {
+      parsed.seasonNumber = parseInt(seasonMatch.groups.season);
+      parsed.episodeNumber = parseInt(seasonMatch.groups.episode);
+      parsed.title = text.substring(seasonMatch.index + seasonMatch[0].length);
+      parsed.title = parsed.title.trim() || null;
+      return parsed;
+    }
+
+    const arcMatch = FILE_PATTERNS.arcEpisode.exec(text);
+    if (!arcMatch) return null;
+
+    parsed.arc = arcMatch.groups.arc.trim();
+    parsed.episodeNumber = parseInt(arcMatch.groups.episode);
+    parsed.title = arcMatch.groups.title?.trim() || null;
+    return parsed;
+  }
+
+  matchMediaFile(fileName, lookups) {
+    const parsed = this.parseMediaFileName(fileName);
+    if (!parsed) {
+      return this.reviewMatch(
+        fileName,
+        "Unrecognised file name",
+        parsed,
+        lookups
+      );
+    }
+
+    let seasonNumber = parsed.seasonNumber;
+    let arcMatch = null;
+    if (seasonNumber === null) {
+      arcMatch = this.resolveArc(parsed.arc, lookups, `'${fileName}'`);
+      seasonNumber = arcMatch.seasonNumber;
+    }
+
+    if (seasonNumber === null) {
+      return this.reviewMatch(
+        fileName,
+        `Unknown arc '${parsed.arc}'`,
+        parsed,
+        lookups
+      );
+    }
+
+    const episodeNumber = parsed.episodeNumber;
+    const key = `${seasonNumber}-${episodeNumber}`;
+    if (!lookups.episodeLookup[key]) {
+      const code = Utils.formatEpisodeCode(seasonNumber, episodeNumber);
+      return this.reviewMatch(
+        fileName,
+        `No episode data for ${code}`,
+        { ...parsed, seasonNumber },
+        lookups
+      );
+    }
+
+    return {
+      seasonNumber,
+      episodeNumber,
+      key,
+      episode: lookups.episodeLookup[key],
+      parsed,
+      arcMatch,
+    };
+  }
+
+  reviewMatch(fileName, reason, parsed, lookups) {
+    return {
+      error: `${reason} in '${fileName}'. Skipping.`,
+      review: {
+        fileName,
+        reason,
+        // An unknown arc name can be fixed by saving it as an alias
+        arc: parsed?.seasonNumber === null ? parsed.arc : null,
+        suggestions: this.suggestMatches(fileName, parsed, lookups),
+      },
+    };
+  }
+
+  suggestMatches(fileName, parsed, lookups) {
+    const { seasonTitles, episodeLookup } = lookups;
+    const describe = (seasonNumber, episodeNumber) => {
+      const arcTitle = seasonTitles[seasonNumber] || `Season ${seasonNumber}`;
+      const episode = episodeLookup[`${seasonNumber}-${episodeNumber}`];
+      if (!episode) return `${arcTitle} (Season ${seasonNumber})`;
+      const code = Utils.formatEpisodeCode(seasonNumber, episodeNumber);
+      return `${arcTitle} ${episodeNumber} → ${code} ${episode.title}`;
+    };
+
+    // Known arc but missing episode: offer the closest episodes of that arc
+    if (parsed?.seasonNumber != null) {
+      return Object.keys(episodeLookup)
+        .map((key) => key.split("-").map(Number))
+        .filter(([season]) => season === parsed.seasonNumber)
+        .sort(
+          (a, b) =>
+            Math.abs(a[1] - parsed.episodeNumber) -
+            Math.abs(b[1] - parsed.episodeNumber)
+        )
+        .slice(0, 3)
+        .map(([season, episode]) => ({
+          seasonNumber: season,
+          episodeNumber: episode,
+          score: null,
+          label: describe(season, episode),
+        }));
+    }
+
+    const extIndex = fileName.lastIndexOf(".");
+    const baseName = extIndex > 0 ? fileName.substring(0, extIndex) : fileName;
+    const query =
+      parsed?.arc ??
+      baseName
+        .replace(FILE_PATTERNS.bracketTag, " ")
+        .replace(/^\s*one pace\b/i, "");
+    const episodeNumber = parsed?.episodeNumber ?? null;
+
+    return this.resolveArc(query, lookups).candidates.map(
+      ({ seasonNumber, score }) => ({
+        seasonNumber,
+        episodeNumber,
+        score: Math.round(score * 100) / 100,
+        label: describe(seasonNumber, episodeNumber),
+      })
+    );
+  }
+
+  renderReviewList() {
+    const section = document.getElementById("reviewSection");
+    const tableBody = document.getElementById("reviewBody");
+    const summary = document.getElementById("reviewSummary");
+    if (!section || !tableBody) return;
+
+    const reviewItems = this.state.reviewItems;
+    tableBody.innerHTML = "";
+    section.classList.toggle("hidden", reviewItems.length === 0);
+    if (reviewItems.length === 0) return;
+
+    if (summary) {
+      summary.textContent = `${reviewItems.length} files could not be matched automatically`;
+    }
+
+    reviewItems.forEach((item) => {
+      const row = document.createElement("tr");
+
+      const fileCell = document.createElement("td");
+      fileCell.textContent = item.fileName;
+
+      const reasonCell = document.createElement("td");
+      reasonCell.textContent = item.reason;
+
+      const suggestionCell = document.createElement("td");
+      if (item.suggestions.length > 0) {
+        suggestionCell.textContent = item.suggestions
+          .map((suggestion) =>
+            suggestion.score !== null
+              ? `${suggestion.label} (${Math.round(suggestion.score * 100)}%)`
+              : suggestion.label
+          )
+          .join("\n");
+      } else {
+        suggestionCell.textContent = "No close matches";
+        suggestionCell.className = "diff-empty";
+      }
+
+      const actionCell = document.createElement("td");
+      if (item.arc) {
+        const arcSelect = this.createArcSelect(
+          item.suggestions.map((suggestion) => suggestion.seasonNumber)
+        );
+        const saveButton = document.createElement("button");
+        saveButton.className = "secondary";
+        saveButton.textContent = "Save Alias";
+        saveButton.onclick = () => {
+          if (this.saveArcAlias(item.arc, arcSelect.value)) {
+            saveButton.disabled = true;
+            arcSelect.disabled = true;
+          }
+        };
+        actionCell.append(arcSelect, saveButton);
+      }
+
+      row.append(fileCell, reasonCell, suggestionCell, actionCell);
+      tableBody.appendChild(row);
+    });
+  }
+
+  // Sheet arcs as <option>s, with the given season numbers listed first
+  createArcSelect(preferredSeasons = []) {
+    const select = document.createElement("select");
+    const arcs = (this.state.seasonMappingData || [])
+      .filter((row) => row.part && row.title_en)
+      .map((row) => ({
+        title: row.title_en.trim(),
+        seasonNumber: row.title_en === "Specials" ? 0 : parseInt(row.part),
+      }));
+
+    const rank = (arc) => {
+      const index = preferredSeasons.indexOf(arc.seasonNumber);
+      return index === -1 ? preferredSeasons.length : index;
+    };
+    arcs
+      .sort((a, b) => rank(a) - rank(b) || a.seasonNumber - b.seasonNumber)
+      .forEach((arc) => {
+        const option = document.createElement("option");
+        option.value = arc.title;
+        option.textContent = `${arc.title} (Season ${arc.seasonNumber})`;
+        select.appendChild(option);
+      });
+
+    if (arcs.length === 0) {
+      select.innerHTML =
+        "<option value=''>Refresh sheets to list arcs</option>";
+      select.disabled = true;
+    }
+    return select;
+  }
+
+  saveArcAlias(name, arcTitle) {
+    if (!name.trim() || !arcTitle) {
+      this.writeOutput("Enter an alias and pick the arc it refers to", "ERROR");
+      return false;
+    }
+
+    ArcAliases.set(name, arcTitle);
+    this.writeOutput(`Saved alias '${name.trim()}' → '${arcTitle}'`, "SUCCESS");
+    this.renderArcAliases();
+    return true;
+  }
+
+  addArcAlias() {
+    const nameInput = document.getElementById("aliasName");
+    const arcSelect = document.getElementById("aliasArc");
+    if (this.saveArcAlias(nameInput.value, arcSelect.value)) {
+      nameInput.value = "";
+    }
+  }
+
+  removeArcAlias(alias) {
+    ArcAliases.remove(alias);
+    this.writeOutput(`Removed alias '${alias}'`, "INFO");
+    this.renderArcAliases();
+  }
+
+  renderArcAliases() {
+    const list = document.getElementById("arcAliasList");
+    const arcSelect = document.getElementById("aliasArc");
+
+    if (arcSelect) {
+      const options = this.createArcSelect();
+      arcSelect.innerHTML = options.innerHTML;
+      arcSelect.disabled = options.disabled;
+    }
+    if (!list) return;
+
+    list.innerHTML = "";
+    const aliases = Object.entries(ArcAliases.getAll());
+    if (aliases.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "list-item";
+      empty.style.cssText = "color: var(--clr-surface-a50); font-style: italic";
+      empty.textContent = "No aliases saved";
+      list.appendChild(empty);
+      return;
+    }
+
+    aliases.forEach(([alias, arcTitle]) => {
+      const item = document.createElement("div");
+      item.className = "list-item alias-item";
+
+      const label = document.createElement("span");
+      label.textContent = `${alias} → ${arcTitle}`;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "secondary";
+      removeButton.textContent = "Remove";
+      removeButton.onclick = () => this.removeArcAlias(alias);
+
+      item.append(label, removeButton);
+      list.appendChild(item);
+    });
+  }
+
+  dismissReviewList() {
+    this.state.reviewItems = [];
+    this.renderReviewList();
+  }
+
+  buildReleaseLookup(lookups) {
+    const lookup = {};
+    const rowsByKey = {};
+    const unresolved = [];
+
+    (this.state.releaseData || []).forEach((row) => {
+      const label = row["One Pace Episode"]?.trim();
+      if (!label) return;
+
+      // Release rows are labelled "<Arc Title> <NN>", e.g. "Romance Dawn 01"
+      const match = /^(?<arc>.+?)\s+(?<episode>\d{1,2})$/.exec(label);
+      if (!match) {
+        unresolved.push(label);
+        return;
+      }
+
+      const arc = match.groups.arc.trim();
+      const seasonNum = this.resolveArc(
+        arc,
+        lookups,
+        "release sheet"
+      ).seasonNumber;
+
+      if (seasonNum === null) {
+        unresolved.push(label);
+        return;
+      }
+
+      const key = `${seasonNum}-${parseInt(match.groups.episode)}`;
+      rowsByKey[key] = rowsByKey[key] || [];
+      rowsByKey[key].push(row);
+    });
+
+    const ambiguous = [];
+    Object.entries(rowsByKey).forEach(([key, rows]) => {
+      if (rows.length === 1) {
+        lookup[key] = rows[0];
+      } else {
+        ambiguous.push({
+          key,
+          labels: rows.map((row) => row["One Pace Episode"]),
+        });
+      }
+    });
+
+    if (unresolved.length > 0) {
+      const count = unresolved.length;
+      const labels = unresolved.join(", ");
+      this.writeOutput(
+        `${count} release entries could not be matched to a season: ${labels}`,
+        "WARNING"
+      );
     }
+    ambiguous.forEach(({ key, labels }) => {
+      const [season, episode] = key.split("-");
+      const code = `S${season.padStart(2, "0")}E${episode.padStart(2, "0")}`;
+      const rows = labels.join(" / ");
+      this.writeOutput(
+        `Ambiguous release data for ${code} (${rows}) - release info not applied`,
+        "WARNING"
+      );
+    });
+
+    return lookup;
   }
 
-  switchTab(tabName) {
-    // Update tab UI
-    document
-      .querySelectorAll(".tab")
-      .forEach((tab) => tab.classList.remove("active"));
-    document
-      .querySelectorAll(".tab-content")
-      .forEach((content) => content.classList.add("hidden"));
+  // "anime" maps One Pace episodes onto the original episodes they replace
+  getEpisodeNumbering() {
+    return document.getElementById("episodeNumbering")?.value === "anime"
+      ? "anime"
+      : "onepace";
+  }
 
-    const activeTab = Array.from(document.querySelectorAll(".tab")).find(
-      (tab) => tab.textContent.toLowerCase().includes(tabName)
+  // Original anime episodes per One Pace episode, from the release sheet's
+  // Episodes column; episodes claimed by more than one entry are flagged
+  buildAnimeOrder(lookups, releaseLookup = this.buildReleaseLookup(lookups)) {
+    const byKey = new Map();
+    const byAnimeEpisode = new Map();
+
+    Object.entries(releaseLookup).forEach(([key, row]) => {
+      const episodes = Utils.parseNumberRange(row.Episodes);
+      if (episodes.length === 0) return;
+
+      byKey.set(key, {
+        label: row["One Pace Episode"].trim(),
+        episodes,
+        chapters: row.Chapters || null,
+      });
+      episodes.forEach((number) => {
+        if (!byAnimeEpisode.has(number)) byAnimeEpisode.set(number, []);
+        byAnimeEpisode.get(number).push(key);
+      });
+    });
+
+    // Group consecutive shared episodes so each overlap is reported once
+    const overlaps = [];
+    Array.from(byAnimeEpisode.keys())
+      .sort((a, b) => a - b)
+      .forEach((number) => {
+        const keys = byAnimeEpisode.get(number);
+        if (keys.length < 2) return;
+
+        const previous = overlaps[overlaps.length - 1];
+        if (
+          previous &&
+          previous.last === number - 1 &&
+          previous.keys.join() === keys.join()
+        ) {
+          previous.last = number;
+        } else {
+          overlaps.push({ first: number, last: number, keys });
+        }
+      });
+
+    overlaps.forEach(({ first, last, keys }) => {
+      const range = first === last ? `${first}` : `${first}-${last}`;
+      const entries = keys
+        .map((key) => {
+          const entry = byKey.get(key);
+          return entry.chapters
+            ? `${entry.label} (chapters ${entry.chapters})`
+            : entry.label;
+        })
+        .join(" and ");
+      this.writeOutput(
+        `Overlapping ranges: anime episode ${range} is covered by ${entries}`,
+        "WARNING"
+      );
+    });
+
+    return { byKey, byAnimeEpisode, overlaps };
+  }
+
+  getAnimeEpisodes(matched, animeOrder) {
+    return (
+      animeOrder.byKey.get(matched.key)?.episodes ||
+      Utils.parseNumberRange(matched.parsed.episodes)
     );
-    if (activeTab) activeTab.classList.add("active");
+  }
 
-    const tabContent = document.getElementById(`${tabName}-tab`);
-    if (tabContent) tabContent.classList.remove("hidden");
+  getUpdateOptions() {
+    return {
+      title: document.getElementById("updateTitle").checked,
+      seasonTitle: document.getElementById("updateSeasonTitle").checked,
+      description: document.getElementById("updateDescription").checked,
+      date: document.getElementById("updateDate").checked,
+      posters: document.getElementById("updatePosters").checked,
+      dryRun: document.getElementById("dryRun").checked,
+    };
+  }
 
-    this.state.currentService = tabName;
-    this.updateUIState();
+  getShowKey() {
+    const show = this.state.selectedShow;
+    return `${this.state.currentService}:${this.state.selectedServer?.name}:${
+      show.ratingKey || show.id
+    }`;
   }
 
-  async getPlexToken() {
-    const username = document.getElementById("plexUser").value;
-    const password = document.getElementById("plexPass").value;
+  async loadSheetsData() {
+    if (!this.state.seasonMappingData || !this.state.episodeData) {
+      const pinned = document.getElementById("useSheetSnapshot").checked;
+      const sheetsData = await this.api.googleSheets.getAllData({ pinned });
+      this.state.seasonMappingData = sheetsData.seasonMapping;
+      this.state.episodeData = sheetsData.episodeData;
+      this.state.releaseData = sheetsData.releaseData;
+
+      const statusText = {
+        new: "downloaded and cached",
+        updated: "changed since last run - cache updated",
+        unchanged: "unchanged since last run",
+        offline: "unreachable - using cached copy",
+        snapshot: "loaded from saved snapshot",
+      };
+      Object.entries(sheetsData.sources).forEach(([name, source]) => {
+        const fetchedAt = new Date(source.fetchedAt).toLocaleString();
+        this.writeOutput(
+          `      ${name}: ${statusText[source.status]} (${fetchedAt})`,
+          source.status === "offline" ? "WARNING" : "INFO"
+        );
+      });
 
-    if (!username || !password) {
-      this.writeOutput("Please enter both username and password", "ERROR");
-      return;
+      this.writeOutput(
+        pinned
+          ? "Loaded season mapping and episode data from saved snapshot"
+          : "Loaded season mapping and episode data from Google Sheets",
+        "SUCCESS"
+      );
+      this.renderSheetCacheStatus();
+      this.renderArcAliases();
     }
+  }
 
-    const loginBtn = document.getElementById("plexLoginBtn");
-    const originalText = loginBtn.textContent;
-    loginBtn.disabled = true;
-    loginBtn.textContent = "Authenticating...";
+  async renderSheetCacheStatus() {
+    const statusElement = document.getElementById("sheetCacheStatus");
+    if (!statusElement) return;
+
+    const oldest = (records) => {
+      const times = SheetCache.sheetNames
+        .map((name) => records[name]?.fetchedAt)
+        .filter(Boolean);
+      return times.length === SheetCache.sheetNames.length
+        ? new Date(Math.min(...times)).toLocaleString()
+        : null;
+    };
 
-    this.setStatus("Signing in to Plex...");
-    this.writeOutput("Attempting Plex authentication...", "INFO");
+    try {
+      const cached = oldest(await SheetCache.getAll());
+      const pinned = oldest(await SheetCache.getSnapshot());
+      statusElement.textContent = [
+        cached ? `Cached copy from ${cached}` : "No cached copy yet",
+        pinned && `saved snapshot from ${pinned}`,
+      ]
+        .filter(Boolean)
+        .join(" - ");
+    } catch (error) {
+      statusElement.textContent = "Cache unavailable";
+    }
+  }
+
+  async refreshSheetsData() {
+    this.state.seasonMappingData = null;
+    this.state.episodeData = null;
+    this.state.releaseData = null;
+    this.setStatus("Refreshing sheet data...");
 
     try {
-      const result = await this.api.plex.authenticate(username, password);
-      this.state.userToken = result.token;
-      this.setConnectionStatus("plex", "connected");
+      await this.loadSheetsData();
+      this.setStatus("Sheet data refreshed");
+    } catch (error) {
+      this.writeOutput(`Failed to load sheet data: ${error.message}`, "ERROR");
+      this.setStatus("Sheet refresh failed");
+    }
+  }
 
-      const cacheToken = document.getElementById("cacheToken").checked;
-      if (cacheToken) {
-        Storage.set(
-          "onePace_plexToken",
-          result.token,
-          30 * 24 * 60 * 60 * 1000
+  // Pinning without an imported snapshot freezes the current cached copy
+  async pinCachedSheets() {
+    try {
+      const snapshot = await SheetCache.getSnapshot();
+      if (Object.keys(snapshot).length === SheetCache.sheetNames.length) return;
+
+      const cached = await SheetCache.getAll();
+      const missing = SheetCache.sheetNames.filter((name) => !cached[name]);
+      if (missing.length > 0) {
+        this.writeOutput(
+          `Nothing cached yet for ${missing.join(
+            ", "
+          )} - import a snapshot or refresh sheets before pinning`,
+          "WARNING"
         );
-        this.writeOutput("Token acquired and cached!", "SUCCESS");
-        this.setStatus("Token acquired and cached!");
-      } else {
-        this.writeOutput("Token acquired but not cached.", "SUCCESS");
-        this.setStatus("Token acquired but not cached.");
+        return;
       }
 
-      // Auto-load servers
-      await this.getServers();
+      for (const name of SheetCache.sheetNames) {
+        await SheetCache.putSnapshot(cached[name]);
+      }
+      this.renderSheetCacheStatus();
     } catch (error) {
-      this.writeOutput(`Sign in failed: ${error.message}`, "ERROR");
-      this.setStatus(`Sign in failed: ${error.message}`);
-      this.setConnectionStatus("plex", "error");
-    } finally {
-      loginBtn.disabled = false;
-      loginBtn.textContent = originalText;
-      this.updateUIState();
+      this.writeOutput(
+        `Could not pin cached sheets: ${error.message}`,
+        "ERROR"
+      );
     }
   }
 
-  async testJellyfinConnection() {
-    const url = document.getElementById("jellyfinUrl").value;
-    const apiKey = document.getElementById("jellyfinToken").value;
+  // Exports whatever runs currently use: the pinned snapshot or the live cache
+  async exportSheetSnapshot() {
+    try {
+      const pinned = document.getElementById("useSheetSnapshot").checked;
+      const snapshot = pinned
+        ? await SheetCache.getSnapshot()
+        : await SheetCache.getAll();
+      const missing = SheetCache.sheetNames.filter((name) => !snapshot[name]);
+      if (missing.length > 0) {
+        throw new Error(`nothing cached yet for ${missing.join(", ")}`);
+      }
 
-    if (!url || !apiKey) {
-      this.writeOutput("Please provide both URL and API Key", "ERROR");
-      return;
+      const data = {
+        app: APP_CONFIG.name,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        sheets: snapshot,
+      };
+      const date = Utils.formatDate(Date.now());
+      Utils.downloadFile(
+        JSON.stringify(data, null, 2),
+        `onepace-sheets-snapshot-${date}.json`
+      );
+      this.writeOutput("Sheet snapshot exported", "SUCCESS");
+    } catch (error) {
+      this.writeOutput(`Snapshot export failed: ${error.message}`, "ERROR");
     }
+  }
 
-    const testBtn = document.getElementById("jellyfinTestBtn");
-    const originalText = testBtn.textContent;
-    testBtn.disabled = true;
-    testBtn.textContent = "Testing...";
+  async importSheetSnapshot(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (data.version !== 1 || !data.sheets) {
+        throw new Error("not a One Pace sheet snapshot");
+      }
 
-    this.setStatus("Testing Jellyfin connection...");
-    this.writeOutput("Testing Jellyfin connection...", "INFO");
+      for (const name of SheetCache.sheetNames) {
+        const sheet = data.sheets[name];
+        if (!sheet || !Array.isArray(sheet.rows)) {
+          throw new Error(`snapshot is missing ${name}`);
+        }
+      }
 
-    try {
-      const result = await this.api.jellyfin.testConnection(url, apiKey);
-      this.state.jellyfinSession = {
-        url,
-        apiKey,
-        serverName: result.serverName,
-      };
+      for (const name of SheetCache.sheetNames) {
+        const sheet = data.sheets[name];
+        await SheetCache.putSnapshot({
+          name,
+          rows: sheet.rows,
+          hash: sheet.hash || "imported",
+          fetchedAt: sheet.fetchedAt || Date.parse(data.exportedAt),
+        });
+      }
 
-      this.setConnectionStatus("jellyfin", "connected");
+      // An imported snapshot is a known-good version, so pin it
+      const pinCheckbox = document.getElementById("useSheetSnapshot");
+      pinCheckbox.checked = true;
+      Storage.set("onePace_useSheetSnapshot", true);
+
+      this.state.seasonMappingData = null;
+      this.state.episodeData = null;
+      this.state.releaseData = null;
       this.writeOutput(
-        `Jellyfin connection successful to: ${result.serverName}`,
+        `Imported sheet snapshot from ${new Date(
+          data.exportedAt
+        ).toLocaleString()} - runs now use this snapshot`,
         "SUCCESS"
       );
-      this.setStatus(`Connected to Jellyfin: ${result.serverName}`);
+      this.renderSheetCacheStatus();
+    } catch (error) {
+      this.writeOutput(`Snapshot import failed: ${error.message}`, "ERROR");
+    }
+  }
 
-      // Cache credentials if requested
-      const cacheUrl = document.getElementById("cacheJellyfinUrl").checked;
-      const cacheToken = document.getElementById("cacheJellyfinToken").checked;
+  async loadShowMetadata() {
+    if (this.state.currentService === "plex") {
+      return await this.api.plex.getShowMetadata(
+        this.state.selectedServer,
+        this.state.selectedShow.ratingKey
+      );
+    } else if (MEDIA_SERVERS[this.state.currentService]) {
+      return await this.api[this.state.currentService].getShowMetadata(
+        this.state.selectedShow.id
+      );
+    }
+    throw new Error(`Unsupported service: ${this.state.currentService}`);
+  }
 
-      if (cacheUrl || cacheToken) {
-        const cacheData = {};
-        if (cacheUrl) cacheData.url = url;
-        if (cacheToken) cacheData.apiKey = apiKey;
-        Storage.set(
-          "onePace_jellyfinCredentials",
-          cacheData,
-          30 * 24 * 60 * 60 * 1000
+  buildChangeSet(showMetadata, updateOptions) {
+    const lookups = this.buildEpisodeLookups();
+    const { episodeLookup } = lookups;
+    const releaseLookup = this.buildReleaseLookup(lookups);
+    const animeOrder =
+      this.getEpisodeNumbering() === "anime"
+        ? this.buildAnimeOrder(lookups, releaseLookup)
+        : null;
+
+    const assetIndex = updateOptions.posters ? this.state.assetIndex : null;
+    if (updateOptions.posters && !assetIndex) {
+      this.writeOutput(
+        "No extracted assets available - run Download ZIP and Extract & Process first. Skipping posters.",
+        "WARNING"
+      );
+    } else if (assetIndex && this.state.currentService !== "plex") {
+      this.writeOutput(
+        "Poster uploads are only supported for Plex. Skipping posters.",
+        "WARNING"
+      );
+    }
+    const uploadPosters =
+      assetIndex !== null && this.state.currentService === "plex";
+
+    const changes = [];
+    const addChange = (item, field, current, proposed, extra = {}) => {
+      changes.push({
+        id: changes.length,
+        itemId: item.id,
+        label: item.label,
+        season: item.season ?? null,
+        episode: item.episode ?? null,
+        field,
+        current: current ?? "",
+        proposed,
+        selected: true,
+        ...extra,
+      });
+    };
+
+    // Prefer an explicit poster over backgrounds or other artwork
+    const addPosterChange = (item, assets) => {
+      if (!uploadPosters || !assets || assets.posters.length === 0) return;
+      const poster =
+        assets.posters.find((entry) => /poster/i.test(entry.name)) ||
+        assets.posters[0];
+      addChange(item, "poster", "(current artwork)", poster.name, {
+        asset: poster,
+      });
+    };
+
+    addPosterChange(
+      { id: this.state.selectedShow.ratingKey, label: "Show" },
+      assetIndex?.show
+    );
+
+    for (const season of showMetadata.seasons) {
+      const seasonItem = {
+        id: season.id,
+        label: `Season ${season.number}`,
+        season: season.number,
+      };
+      // Library seasons don't line up with arcs in original anime order
+      const seasonInfo = animeOrder
+        ? null
+        : this.state.seasonMappingData.find((row) => row.part == season.number);
+
+      if (
+        updateOptions.seasonTitle &&
+        seasonInfo?.title_en &&
+        seasonInfo.title_en !== season.title
+      ) {
+        addChange(seasonItem, "title", season.title, seasonInfo.title_en);
+      }
+
+      if (
+        updateOptions.description &&
+        seasonInfo?.description_en &&
+        seasonInfo.description_en !== season.summary
+      ) {
+        addChange(
+          seasonItem,
+          "summary",
+          season.summary,
+          seasonInfo.description_en
         );
-        this.writeOutput("Jellyfin credentials cached", "INFO");
       }
-    } catch (error) {
-      this.writeOutput(`Jellyfin connection failed: ${error.message}`, "ERROR");
-      this.setStatus(`Connection failed: ${error.message}`);
-      this.setConnectionStatus("jellyfin", "error");
-    } finally {
-      testBtn.disabled = false;
-      testBtn.textContent = originalText;
-      this.updateUIState();
+
+      const seasonAssets = animeOrder
+        ? null
+        : assetIndex?.seasons[season.number];
+      addPosterChange(seasonItem, seasonAssets);
+
+      for (const episode of season.episodes) {
+        const episodeItem = {
+          id: episode.id,
+          label: Utils.formatEpisodeCode(season.number, episode.number),
+          season: season.number,
+          episode: episode.number,
+        };
+        addPosterChange(episodeItem, seasonAssets?.episodes[episode.number]);
+
+        let key = `${season.number}-${episode.number}`;
+        if (animeOrder) {
+          const keys =
+            season.number > 0
+              ? animeOrder.byAnimeEpisode.get(episode.number) || []
+              : [];
+          if (keys.length > 1) {
+            this.writeOutput(
+              `${episodeItem.label} is covered by more than one One Pace episode - skipped`,
+              "WARNING",
+              {
+                itemId: episode.id,
+                season: season.number,
+                episode: episode.number,
+              }
+            );
+            continue;
+          }
+          key = keys[0];
+        }
+        const episodeData = episodeLookup[key];
+
+        if (!episodeData) {
+          this.writeOutput(
+            `No data found for ${episodeItem.label}`,
+            "WARNING",
+            {
+              itemId: episode.id,
+              season: season.number,
+              episode: episode.number,
+            }
+          );
+          continue;
+        }
+
+        const releaseInfo = releaseLookup[key];
+
+        if (updateOptions.title && episode.title !== episodeData.title) {
+          addChange(episodeItem, "title", episode.title, episodeData.title);
+        }
+
+        if (updateOptions.description && episodeData.description) {
+          let episodeDescription = episodeData.description;
+          if (releaseInfo) {
+            if (releaseInfo.Chapters)
+              episodeDescription += `\nChapters: ${releaseInfo.Chapters}`;
+            if (releaseInfo.Episodes)
+              episodeDescription += `\nEpisodes: ${releaseInfo.Episodes}`;
+          }
+
+          if (episode.summary !== episodeDescription) {
+            addChange(
+              episodeItem,
+              "summary",
+              episode.summary,
+              episodeDescription
+            );
+          }
+        }
+
+        if (
+          updateOptions.date &&
+          releaseInfo &&
+          releaseInfo["Release Date"] &&
+          !releaseInfo["Release Date"].includes("To Be Released") &&
+          episode.originallyAvailableAt !== releaseInfo["Release Date"]
+        ) {
+          addChange(
+            episodeItem,
+            "originallyAvailableAt",
+            episode.originallyAvailableAt,
+            releaseInfo["Release Date"]
+          );
+        }
+      }
     }
+
+    return changes;
   }
 
-  async getServers() {
-    const getServersBtn = document.getElementById("getServersBtn");
-    const originalText = getServersBtn.textContent;
-    getServersBtn.disabled = true;
-    getServersBtn.textContent = "Loading...";
+  async applyChangeSet(changes, checkpoint) {
+    // A resumed run keeps adding to the journal entry it started
+    const journalRun =
+      UndoJournal.getRun(checkpoint.journalRunId) ||
+      UndoJournal.startRun("metadata", {
+        service: this.state.currentService,
+        serverName: this.state.selectedServer?.name,
+        showTitle: this.state.selectedShow.title,
+      });
+    checkpoint.journalRunId = journalRun.id;
+
+    // Group field changes so each item is written once
+    const items = new Map();
+    changes.forEach((change) => {
+      if (!items.has(change.itemId)) {
+        items.set(change.itemId, {
+          label: change.label,
+          details: {
+            itemId: change.itemId,
+            season: change.season,
+            episode: change.episode,
+          },
+          updates: {},
+          previous: {},
+          poster: null,
+        });
+      }
+      const item = items.get(change.itemId);
+      if (change.field === "poster") {
+        item.poster = change.asset;
+      } else {
+        item.updates[change.field] = change.proposed;
+        item.previous[change.field] = change.current;
+      }
+    });
+
+    let totalUpdates = 0;
+    let completed = 0;
+
+    // Items are independent; the request scheduler paces the actual traffic
+    const applyItem = async (itemId, item) => {
+      const fields = Object.keys(item.updates);
+      let failed = false;
+
+      if (fields.length > 0) {
+        try {
+          await this.updateItemMetadata(itemId, item.updates);
+          this.writeOutput(
+            `      Updated ${item.label}: ${fields.join("/")}`,
+            "SUCCESS",
+            item.details
+          );
+          totalUpdates++;
+        } catch (error) {
+          if (error.name === "AbortError") return;
+          this.writeOutput(
+            `      Failed to update ${item.label}: ${error.message}`,
+            "ERROR",
+            item.details
+          );
+          failed = true;
+        }
+
+        if (
+          !failed &&
+          !UndoJournal.record(journalRun, {
+            itemId,
+            label: item.label,
+            previous: item.previous,
+          })
+        ) {
+          this.writeOutput(
+            `      Could not save undo entry for ${item.label} (storage full) - this update can't be undone`,
+            "WARNING",
+            item.details
+          );
+        }
+      }
+
+      if (item.poster) {
+        if (this.state.operationCancelled) return;
+        const uploaded = await this.uploadPosterAsset(
+          item.poster,
+          itemId,
+          item.label,
+          item.details
+        );
+        if (uploaded) totalUpdates++;
+        else failed = true;
+      }
+
+      RunCheckpoint.markItem(checkpoint, itemId, failed ? "failed" : "done");
+
+      completed++;
+      this.updateProgress(
+        40 + (completed / items.size) * 60,
+        `Updated ${completed} of ${items.size} items...`
+      );
+    };
+
+    await Promise.all(
+      Array.from(items, ([itemId, item]) => applyItem(itemId, item))
+    );
+
+    if (this.state.operationCancelled) {
+      this.writeOutput(
+        `Operation cancelled by user after ${completed} of ${items.size} items - resume it from Step 4`,
+        "WARNING"
+      );
+    } else if (RunCheckpoint.isComplete(checkpoint)) {
+      RunCheckpoint.clear();
+    } else {
+      const { done, total } = RunCheckpoint.getProgress(checkpoint);
+      this.writeOutput(
+        `${
+          total - done
+        } of ${total} items failed - resume the run from Step 4 to retry them`,
+        "WARNING"
+      );
+    }
+
+    return totalUpdates;
+  }
+
+  async applyOnePaceEdits(options = {}) {
+    if (!this.state.selectedShow) {
+      this.writeOutput("No show selected. Search for the show first.", "ERROR");
+      return;
+    }
+
+    const applyBtn = document.getElementById("applyBtn");
+    const stopBtn = document.getElementById("stopBtn");
+    const originalText = applyBtn.textContent;
+
+    applyBtn.disabled = true;
+    stopBtn.disabled = false;
+    applyBtn.textContent = "Applying...";
+
+    this.state.operationCancelled = false;
+
+    this.setStatus("Loading metadata from Google Sheets...");
+    this.writeOutput("Starting OnePace metadata updates...", "INFO");
+    this.updateProgress(0, "Loading Google Sheets data...");
+
+    try {
+      const updateOptions = this.getUpdateOptions();
+      const preview = this.state.pendingChanges;
+      const savedCheckpoint = RunCheckpoint.get();
+      let checkpoint = null;
+      let changes;
+
+      if (options.resume) updateOptions.dryRun = false;
+
+      if (
+        !updateOptions.dryRun &&
+        savedCheckpoint &&
+        savedCheckpoint.showKey === this.getShowKey() &&
+        (options.resume || this.confirmResume(savedCheckpoint))
+      ) {
+        checkpoint = savedCheckpoint;
+        const { done, total } = RunCheckpoint.getProgress(checkpoint);
+        const startedAt = Utils.formatDate(checkpoint.startedAt);
+        this.writeOutput(
+          `Resuming run from ${startedAt}: ${done} of ${total} items already done`,
+          "INFO"
+        );
+        changes = await this.restoreCheckpointChanges(checkpoint);
+      } else if (
+        !updateOptions.dryRun &&
+        preview &&
+        preview.showKey === this.getShowKey()
+      ) {
+        // Apply exactly what was reviewed in the dry run preview
+        changes = preview.changes.filter((change) => change.selected);
+        this.writeOutput(
+          `Applying ${changes.length} of ${preview.changes.length} previewed changes`,
+          "INFO"
+        );
+      } else {
+        await this.loadSheetsData();
+
+        this.updateProgress(20, "Getting show metadata...");
+        const showMetadata = await this.loadShowMetadata();
+        this.writeOutput(
+          `Loaded metadata for ${showMetadata.seasons.length} seasons`,
+          "SUCCESS"
+        );
 
-    this.setStatus("Getting servers...");
-    this.writeOutput("Fetching server list...", "INFO");
+        this.updateProgress(30, "Comparing metadata...");
+        changes = this.buildChangeSet(showMetadata, updateOptions);
+      }
 
-    try {
-      let servers = [];
+      if (updateOptions.dryRun) {
+        this.state.pendingChanges = { showKey: this.getShowKey(), changes };
+        this.renderChangePreview();
 
-      if (this.state.currentService === "plex") {
-        servers = await this.api.plex.getServers();
-      } else if (this.state.currentService === "jellyfin") {
-        servers = [
+        const itemCount = new Set(changes.map((change) => change.itemId)).size;
+        this.updateProgress(100, "Preview ready");
+        this.writeOutput(
+          `[Dry Run] ${changes.length} changes across ${itemCount} items - review them in the Change Preview, then uncheck Dry Run and apply`,
+          "SUCCESS"
+        );
+        this.setStatus(`Preview ready - ${changes.length} changes`);
+        return;
+      }
+
+      if (!checkpoint) {
+        checkpoint = RunCheckpoint.create(
           {
-            name: this.state.jellyfinSession.serverName,
-            address: new URL(this.state.jellyfinSession.url).hostname,
-            port: new URL(this.state.jellyfinSession.url).port || "8096",
-            url: this.state.jellyfinSession.url,
-            apiKey: this.state.jellyfinSession.apiKey,
-            scheme: new URL(this.state.jellyfinSession.url).protocol.replace(
-              ":",
-              ""
-            ),
+            showKey: this.getShowKey(),
+            service: this.state.currentService,
+            serverName: this.state.selectedServer?.name,
+            showTitle: this.state.selectedShow.title,
           },
-        ];
+          changes
+        );
+        if (!RunCheckpoint.save(checkpoint)) {
+          this.writeOutput(
+            "Could not save run progress (storage full) - this run can't be resumed",
+            "WARNING"
+          );
+        }
       }
 
-      this.state.serverList = servers;
-      this.renderServerList(servers);
+      const totalUpdates = await this.applyChangeSet(changes, checkpoint);
 
-      this.writeOutput(`${servers.length} servers found.`, "SUCCESS");
-      this.setStatus(`${servers.length} servers found.`);
+      this.state.pendingChanges = null;
+      this.renderChangePreview();
+
+      this.updateProgress(100, "Updates completed");
+      this.writeOutput("--------------------------------", "INFO");
+      this.writeOutput(
+        `Finished processing One Pace - ${totalUpdates} updates applied`,
+        "SUCCESS"
+      );
+      this.writeOutput("--------------------------------", "INFO");
+      this.setStatus(`Completed - ${totalUpdates} updates applied`);
     } catch (error) {
-      this.writeOutput(`Error getting servers: ${error.message}`, "ERROR");
-      this.setStatus(`Error getting servers: ${error.message}`);
+      if (error.name === "AbortError") {
+        this.writeOutput("Operation cancelled by user", "WARNING");
+        this.setStatus("Operation cancelled");
+        return;
+      }
+      this.writeOutput(
+        `Error during update process: ${error.message}`,
+        "ERROR"
+      );
+      this.setStatus("Update process failed");
     } finally {
-      getServersBtn.disabled = false;
-      getServersBtn.textContent = originalText;
+      applyBtn.disabled = false;
+      stopBtn.disabled = true;
+      applyBtn.textContent = originalText;
+      this.renderResumeOffer();
       this.updateUIState();
     }
   }
 
-  renderServerList(servers) {
-    const serverListElement = document.getElementById("serverList");
-    if (!serverListElement) return;
-
-    serverListElement.innerHTML = "";
+  confirmResume(checkpoint) {
+    const { done, total } = RunCheckpoint.getProgress(checkpoint);
+    return confirm(
+      `An unfinished run for this show stopped after ${done} of ${total} items.\n\n` +
+        "OK resumes it and skips the finished items. Cancel starts a new run."
+    );
+  }
 
-    servers.forEach((server, index) => {
-      const item = document.createElement("div");
-      item.className = "list-item";
-      item.textContent = `${server.name} (${server.address}:${server.port})`;
-      item.dataset.index = index;
-      item.onclick = () => this.selectServer(index);
-      serverListElement.appendChild(item);
+  // Rebuild the proposed values, then keep the checkpoint's unfinished fields
+  async restoreCheckpointChanges(checkpoint) {
+    await this.loadSheetsData();
+    const showMetadata = await this.loadShowMetadata();
+    const changes = this.buildChangeSet(showMetadata, {
+      title: true,
+      seasonTitle: true,
+      description: true,
+      date: true,
+      posters: checkpoint.fields.some((field) => field.endsWith(":poster")),
+      dryRun: false,
     });
+    return RunCheckpoint.getRemainingChanges(checkpoint, changes);
   }
 
-  selectServer(index) {
-    // Remove previous selection
-    document.querySelectorAll("#serverList .list-item").forEach((item) => {
-      item.classList.remove("selected");
-    });
+  renderResumeOffer() {
+    const row = document.getElementById("resumeRunRow");
+    const summary = document.getElementById("resumeRunSummary");
+    const checkpoint = RunCheckpoint.get();
+    if (!row) return;
 
-    // Select new server
-    const selectedItem = document.querySelectorAll("#serverList .list-item")[
-      index
-    ];
-    if (selectedItem) selectedItem.classList.add("selected");
+    row.classList.toggle("hidden", !checkpoint);
+    if (!checkpoint) return;
 
-    this.state.selectedServer = this.state.serverList[index];
-    this.writeOutput(
-      `Selected server: ${this.state.selectedServer.name}`,
-      "INFO"
-    );
-    this.updateUIState();
+    const { done, total } = RunCheckpoint.getProgress(checkpoint);
+    const startedAt = Utils.formatDate(checkpoint.startedAt);
+    const message = `Unfinished run for '${checkpoint.showTitle}' on ${checkpoint.serverName} from ${startedAt}: ${done} of ${total} items done`;
+    if (summary) summary.textContent = message;
+
+    if (!this.state.resumeOffered) {
+      this.state.resumeOffered = true;
+      this.writeOutput(
+        `${message}. Select that server and show, then click Resume Run.`,
+        "WARNING"
+      );
+    }
   }
 
-  async searchShow(service) {
-    const searchTerm = document.getElementById("searchTerm").value;
+  resumeRun() {
+    const checkpoint = RunCheckpoint.get();
+    if (!checkpoint) return;
 
-    if (!searchTerm) {
-      this.writeOutput("Enter a show name", "ERROR");
+    if (!this.state.selectedShow || checkpoint.showKey !== this.getShowKey()) {
+      this.writeOutput(
+        `Select '${checkpoint.showTitle}' on ${checkpoint.serverName} to resume this run`,
+        "ERROR"
+      );
       return;
     }
 
-    if (!this.state.selectedServer) {
-      this.writeOutput("No server selected", "ERROR");
+    return this.applyOnePaceEdits({ resume: true });
+  }
+
+  discardCheckpoint() {
+    if (!confirm("Discard the unfinished run? Finished items stay updated."))
       return;
-    }
 
-    const searchBtn = document.getElementById(
-      `search${service.charAt(0).toUpperCase() + service.slice(1)}Btn`
-    );
-    const originalText = searchBtn.textContent;
-    searchBtn.disabled = true;
-    searchBtn.textContent = "Searching...";
+    RunCheckpoint.clear();
+    this.writeOutput("Discarded unfinished run", "INFO");
+    this.renderResumeOffer();
+    this.updateUIState();
+  }
 
-    this.setStatus("Searching...");
-    this.writeOutput(`Searching for "${searchTerm}" in ${service}...`, "INFO");
+  renderChangePreview() {
+    const section = document.getElementById("changePreviewSection");
+    const tableBody = document.getElementById("changePreviewBody");
+    const summary = document.getElementById("changePreviewSummary");
+    if (!section || !tableBody) return;
 
-    try {
-      let searchResults = [];
+    const preview = this.state.pendingChanges;
+    tableBody.innerHTML = "";
 
-      if (service === "plex") {
-        searchResults = await this.api.plex.searchShows(
-          this.state.selectedServer,
-          searchTerm
-        );
-      } else if (service === "jellyfin") {
-        searchResults = await this.api.jellyfin.searchShows(searchTerm);
-      }
+    if (!preview) {
+      section.classList.add("hidden");
+      return;
+    }
 
-      this.state.searchResults = searchResults;
-      this.renderSearchResults(searchResults);
+    section.classList.remove("hidden");
 
-      if (searchResults.length > 0) {
-        this.writeOutput(`Shows found: ${searchResults.length}`, "SUCCESS");
-        this.setStatus(`Found ${searchResults.length} shows`);
-      } else {
-        this.writeOutput("No shows found", "WARNING");
-        this.setStatus("No shows found");
-      }
-    } catch (error) {
-      this.writeOutput(`Error searching: ${error.message}`, "ERROR");
-      this.setStatus(`Search failed: ${error.message}`);
-    } finally {
-      searchBtn.disabled = false;
-      searchBtn.textContent = originalText;
-      this.updateUIState();
-    }
-  }
+    const fieldLabels = {
+      title: "Title",
+      summary: "Description",
+      originallyAvailableAt: "Air Date",
+      poster: "Poster",
+    };
 
-  renderSearchResults(results) {
-    const searchResultsElement = document.getElementById("searchResults");
-    if (!searchResultsElement) return;
+    const updateSummary = () => {
+      const selected = preview.changes.filter((c) => c.selected).length;
+      summary.textContent = `${selected} of ${preview.changes.length} changes selected`;
+    };
 
-    searchResultsElement.innerHTML = "";
+    if (preview.changes.length === 0) {
+      const row = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 5;
+      cell.className = "diff-empty";
+      cell.textContent = "Everything is already up to date";
+      row.appendChild(cell);
+      tableBody.appendChild(row);
+    }
 
-    if (results.length > 0) {
-      results.forEach((show, index) => {
-        const item = document.createElement("div");
-        item.className = "list-item";
-        item.textContent = `${show.title}${show.year ? ` (${show.year})` : ""}`;
-        item.dataset.index = index;
-        item.onclick = () => this.selectShow(index);
-        searchResultsElement.appendChild(item);
+    preview.changes.forEach((change) => {
+      const row = document.createElement("tr");
+
+      const selectCell = document.createElement("td");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = change.selected;
+      checkbox.setAttribute(
+        "aria-label",
+        `Apply ${fieldLabels[change.field]} change to ${change.label}`
+      );
+      checkbox.addEventListener("change", () => {
+        change.selected = checkbox.checked;
+        row.classList.toggle("deselected", !change.selected);
+        updateSummary();
+      });
+      selectCell.appendChild(checkbox);
+
+      const cells = [
+        [change.label, ""],
+        [fieldLabels[change.field], ""],
+        [change.current || "(empty)", "diff-current"],
+        [change.proposed, "diff-proposed"],
+      ].map(([text, className]) => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        if (className) cell.className = className;
+        return cell;
       });
-    } else {
-      const item = document.createElement("div");
-      item.className = "list-item";
-      item.textContent = "No shows found";
-      item.style.fontStyle = "italic";
-      item.style.color = "var(--clr-surface-a50)";
-      searchResultsElement.appendChild(item);
-    }
-  }
 
-  selectShow(index) {
-    // Remove previous selection
-    document.querySelectorAll("#searchResults .list-item").forEach((item) => {
-      item.classList.remove("selected");
+      row.append(selectCell, ...cells);
+      row.classList.toggle("deselected", !change.selected);
+      tableBody.appendChild(row);
     });
 
-    // Select new show
-    const selectedItem = document.querySelectorAll("#searchResults .list-item")[
-      index
-    ];
-    if (selectedItem) selectedItem.classList.add("selected");
-
-    this.state.selectedShow = this.state.searchResults[index];
+    updateSummary();
+  }
 
-    const selectedShowElement = document.getElementById("selectedShow");
-    if (selectedShowElement) {
-      const identifier =
-        this.state.selectedShow.ratingKey || this.state.selectedShow.id;
-      selectedShowElement.textContent = `Selected: ${this.state.selectedShow.title} (${identifier})`;
-    }
+  selectAllChanges(selected) {
+    if (!this.state.pendingChanges) return;
+    this.state.pendingChanges.changes.forEach((change) => {
+      change.selected = selected;
+    });
+    this.renderChangePreview();
+  }
 
-    this.writeOutput(`Selected show: ${this.state.selectedShow.title}`, "INFO");
-    this.updateUIState();
+  discardChangePreview() {
+    this.state.pendingChanges = null;
+    this.renderChangePreview();
+    this.writeOutput("Change preview discarded", "INFO");
   }
 
-  async downloadAssets() {
-    const downloadBtn = document.getElementById("downloadBtn");
-    const originalText = downloadBtn.textContent;
-    downloadBtn.disabled = true;
-    downloadBtn.textContent = "Downloading...";
+  async generateHealthReport() {
+    if (!this.state.selectedShow) {
+      this.writeOutput("No show selected. Search for the show first.", "ERROR");
+      return;
+    }
 
-    this.setStatus("Downloading assets from GitHub...");
-    this.writeOutput("Starting download of One Pace assets...", "INFO");
+    const healthBtn = document.getElementById("healthBtn");
+    const originalText = healthBtn.textContent;
+    healthBtn.disabled = true;
+    healthBtn.textContent = "Checking...";
+    this.setStatus("Building library health report...");
 
     try {
-      const response = await Utils.fetchWithCORS(API_CONFIG.github.assetsUrl);
-
-      if (!response.ok) {
-        throw new Error(`Download failed: ${response.status}`);
-      }
-
-      const arrayBuffer = await response.arrayBuffer();
-      this.state.downloadedAssets = arrayBuffer;
+      await this.loadSheetsData();
+      const showMetadata = await this.loadShowMetadata();
+      const report = this.buildHealthReport(showMetadata);
 
-      document.getElementById("extractBtn").disabled = false;
+      this.state.healthReport = report;
+      this.renderHealthReport();
 
+      const { counts } = report;
       this.writeOutput(
-        `Downloaded ${Utils.formatBytes(arrayBuffer.byteLength)} of assets`,
-        "SUCCESS"
-      );
-      this.setStatus(
-        `Downloaded ${Utils.formatBytes(arrayBuffer.byteLength)} of assets`
+        `Health report: ${counts.missing} missing, ${counts.duplicate} duplicate, ${counts.unmatched} unmatched, ${counts.misnumbered} misnumbered`,
+        report.rows.length > 0 ? "WARNING" : "SUCCESS"
       );
+      this.setStatus("Health report ready");
     } catch (error) {
-      this.writeOutput(`Download failed: ${error.message}`, "ERROR");
-      this.setStatus(`Download failed: ${error.message}`);
+      this.writeOutput(`Health report failed: ${error.message}`, "ERROR");
+      this.setStatus("Health report failed");
     } finally {
-      downloadBtn.disabled = false;
-      downloadBtn.textContent = originalText;
+      healthBtn.disabled = false;
+      healthBtn.textContent = originalText;
     }
   }
 
-  async extractAssets() {
-    if (!this.state.downloadedAssets) {
-      this.writeOutput("No assets downloaded yet", "ERROR");
-      return;
-    }
+  buildHealthReport(showMetadata) {
+    const lookups = this.buildEpisodeLookups();
+    const { seasonTitles, episodeLookup } = lookups;
+    const rows = [];
+    const addRow = (category, season, episode, item, detail) =>
+      rows.push({ category, season, episode, item, detail });
+
+    // Sheet episodes grouped by season, e.g. { 1: [1, 2, 3] }
+    const expected = {};
+    Object.keys(episodeLookup).forEach((key) => {
+      const [season, episode] = key.split("-").map(Number);
+      (expected[season] = expected[season] || []).push(episode);
+    });
 
-    this.writeOutput("Extracting and processing assets...", "INFO");
-    this.setStatus("Processing assets...");
+    const librarySeasons = {};
+    showMetadata.seasons.forEach((season) => {
+      librarySeasons[season.number] = season;
+      const arcTitle = seasonTitles[season.number];
 
-    try {
-      // In a real implementation, you would extract the ZIP file
-      // For now, we'll simulate the process
-      await Utils.sleep(2000);
+      // A custom season title that names another arc means the numbering is off
+      const isDefaultTitle = /^(season\s*\d+|specials)$/i.test(season.title);
+      if (season.title && !isDefaultTitle) {
+        const match = this.resolveArc(season.title, lookups);
+        if (
+          match.seasonNumber !== null &&
+          match.seasonNumber !== season.number
+        ) {
+          addRow(
+            "misnumbered",
+            season.number,
+            null,
+            season.title,
+            `Sheet lists '${seasonTitles[match.seasonNumber]}' as season ${
+              match.seasonNumber
+            }`
+          );
+        }
+      }
 
-      this.writeOutput("Assets extracted and ready for use", "SUCCESS");
-      this.writeOutput("Asset files are now available in memory", "INFO");
-      this.setStatus("Assets ready");
-    } catch (error) {
-      this.writeOutput(`Asset extraction failed: ${error.message}`, "ERROR");
-      this.setStatus("Asset extraction failed");
-    }
-  }
+      if (!expected[season.number]) {
+        addRow(
+          "unmatched",
+          season.number,
+          null,
+          season.title,
+          "Season has no arc in the season mapping sheet"
+        );
+        return;
+      }
 
-  async renameMediaFiles() {
-    if (!this.state.processedFiles || this.state.processedFiles.length === 0) {
-      this.writeOutput("No media files selected", "ERROR");
-      return;
-    }
+      const byIndex = {};
+      season.episodes.forEach((episode) => {
+        (byIndex[episode.number] = byIndex[episode.number] || []).push(episode);
+      });
 
-    this.writeOutput("Starting file rename operation...", "INFO");
-    this.setStatus("Loading metadata from Google Sheets...");
-    this.updateProgress(10, "Loading season mapping...");
+      Object.entries(byIndex).forEach(([number, episodes]) => {
+        const code = Utils.formatEpisodeCode(season.number, parseInt(number));
+        if (episodes.length > 1) {
+          addRow(
+            "duplicate",
+            season.number,
+            parseInt(number),
+            episodes.map((episode) => episode.title).join(" / "),
+            `${episodes.length} items share ${code}`
+          );
+        }
+        if (!episodeLookup[`${season.number}-${number}`]) {
+          addRow(
+            "unmatched",
+            season.number,
+            parseInt(number),
+            episodes[0].title,
+            `${code} is not an episode of ${arcTitle || "any arc"}`
+          );
+        }
+      });
+    });
 
-    try {
-      // Load Google Sheets data
-      if (!this.state.seasonMappingData || !this.state.episodeData) {
-        const sheetsData = await this.api.googleSheets.getAllData();
-        this.state.seasonMappingData = sheetsData.seasonMapping;
-        this.state.episodeData = sheetsData.episodeData;
-        this.state.releaseData = sheetsData.releaseData;
-        this.writeOutput("Loaded metadata from Google Sheets", "SUCCESS");
-      }
+    Object.entries(expected).forEach(([seasonNumber, episodes]) => {
+      const season = librarySeasons[seasonNumber];
+      const arcTitle = seasonTitles[seasonNumber] || `Season ${seasonNumber}`;
+      episodes
+        .sort((a, b) => a - b)
+        .forEach((episodeNumber) => {
+          const present = season?.episodes.some(
+            (episode) => episode.number === episodeNumber
+          );
+          if (!present) {
+            addRow(
+              "missing",
+              parseInt(seasonNumber),
+              episodeNumber,
+              episodeLookup[`${seasonNumber}-${episodeNumber}`].title,
+              season
+                ? `Missing from ${arcTitle}`
+                : `${arcTitle} is not in the library`
+            );
+          }
+        });
+    });
+
+    const order = ["missing", "duplicate", "unmatched", "misnumbered"];
+    rows.sort(
+      (a, b) =>
+        order.indexOf(a.category) - order.indexOf(b.category) ||
+        a.season - b.season ||
+        (a.episode ?? 0) - (b.episode ?? 0)
+    );
+
+    const counts = {};
+    order.forEach((category) => {
+      counts[category] = rows.filter((row) => row.category === category).length;
+    });
 
-      this.updateProgress(30, "Processing files...");
+    return {
+      showTitle: this.state.selectedShow.title,
+      generatedAt: new Date().toISOString(),
+      rows,
+      counts,
+    };
+  }
 
-      // Build title → season mapping
-      const titleToSeason = {};
-      this.state.seasonMappingData.forEach((row) => {
-        if (row.part && row.title_en) {
-          titleToSeason[row.title_en.toLowerCase().trim()] =
-            row.title_en === "Specials" ? "0" : parseInt(row.part);
-        }
-      });
+  renderHealthReport() {
+    const section = document.getElementById("healthReportSection");
+    const tableBody = document.getElementById("healthReportBody");
+    const summary = document.getElementById("healthReportSummary");
+    if (!section || !tableBody) return;
 
-      // Build episode lookup
-      const episodeLookup = {};
-      this.state.episodeData.forEach((row) => {
-        const arc = row.arc_title?.trim();
-        const epPart = row.arc_part;
-        const title = row.title_en;
+    const report = this.state.healthReport;
+    tableBody.innerHTML = "";
+    section.classList.toggle("hidden", !report);
+    if (!report) return;
 
-        if (!arc || !epPart || !title) return;
+    const { counts } = report;
+    if (summary) {
+      summary.textContent = `${report.showTitle}: ${counts.missing} missing, ${counts.duplicate} duplicate, ${counts.unmatched} unmatched, ${counts.misnumbered} misnumbered seasons`;
+    }
 
-        const seasonNum =
-          arc === "Specials" || arc === "One Piece Fan Letter"
-            ? 0
-            : titleToSeason[arc.toLowerCase()] || null;
+    if (report.rows.length === 0) {
+      const row = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 4;
+      cell.className = "diff-empty";
+      cell.textContent = "The library matches the sheets - nothing to fix";
+      row.appendChild(cell);
+      tableBody.appendChild(row);
+      return;
+    }
 
-        if (seasonNum !== null) {
-          const key = `${seasonNum}-${epPart}`;
-          episodeLookup[key] = title;
+    report.rows.forEach((entry) => {
+      const row = document.createElement("tr");
+      const code =
+        entry.episode !== null
+          ? Utils.formatEpisodeCode(entry.season, entry.episode)
+          : `Season ${entry.season}`;
+
+      [entry.category, code, entry.item || "", entry.detail].forEach(
+        (value, index) => {
+          const cell = document.createElement("td");
+          cell.textContent = value;
+          if (index === 0) cell.className = `health-${entry.category}`;
+          row.appendChild(cell);
         }
-      });
+      );
+      tableBody.appendChild(row);
+    });
+  }
 
-      // Process video files
-      const videoExtensions = [
-        ".mkv",
-        ".mp4",
-        ".avi",
-        ".m4v",
-        ".mov",
-        ".wmv",
-        ".flv",
-        ".webm",
-      ];
-      let processedCount = 0;
-      let renamedCount = 0;
+  exportHealthReport() {
+    const report = this.state.healthReport;
+    if (!report) return;
 
-      for (const file of this.state.processedFiles) {
-        const fileName = file.name;
-        const fileExt = fileName.substring(fileName.lastIndexOf("."));
+    const columns = ["category", "season", "episode", "item", "detail"];
+    Utils.downloadFile(
+      Utils.toCSV(report.rows, columns),
+      `onepace-health-${Utils.formatDate(report.generatedAt)}.csv`,
+      "text/csv"
+    );
+    this.writeOutput(
+      `Exported health report with ${report.rows.length} rows`,
+      "SUCCESS"
+    );
+  }
 
-        if (!videoExtensions.includes(fileExt.toLowerCase())) {
-          continue;
-        }
+  closeHealthReport() {
+    this.state.healthReport = null;
+    this.renderHealthReport();
+  }
 
-        processedCount++;
-        this.updateProgress(
-          30 + (processedCount / this.state.processedFiles.length) * 60,
-          `Processing: ${fileName}`
-        );
+  async checkForUpgrades() {
+    const hasFiles = this.state.processedFiles.length > 0;
+    if (!this.state.selectedShow && !hasFiles) {
+      this.writeOutput(
+        "Select a media folder or a show to check for upgrades",
+        "ERROR"
+      );
+      return;
+    }
 
-        const match = FILE_PATTERNS.onePace.exec(fileName);
-        if (!match) {
-          this.writeOutput(
-            `Could not parse '${fileName}'. Skipping.`,
-            "WARNING"
-          );
-          continue;
-        }
+    const upgradeBtn = document.getElementById("upgradeBtn");
+    const originalText = upgradeBtn.textContent;
+    upgradeBtn.disabled = true;
+    upgradeBtn.textContent = "Checking...";
+    this.setStatus("Comparing files with the release sheet...");
+    this.state.operationCancelled = false;
+    ChecksumWorker.reset();
+    const stopBtn = document.getElementById("stopBtn");
+    stopBtn.disabled = false;
+
+    try {
+      await this.loadSheetsData();
+      const lookups = this.buildEpisodeLookups();
+      const releases = this.buildReleaseVersions(lookups);
+      if (releases.size === 0) {
+        throw new Error(
+          "the release sheet has no CRC32 or version columns to compare against"
+        );
+      }
 
-        const arcTitle = match.groups.arc.trim();
-        const episodeNumber = parseInt(match.groups.episode);
+      const items = [];
+      if (hasFiles) items.push(...this.collectDiskReleases(lookups));
+      if (this.state.selectedShow) {
+        const showMetadata = await this.loadShowMetadata();
+        items.push(...this.collectLibraryReleases(showMetadata, lookups));
+      }
 
-        const seasonNumber =
-          arcTitle === "Specials"
-            ? 0
-            : titleToSeason[arcTitle.toLowerCase()] || null;
+      // Renamed files lose their CRC tag; hash them if verification is on
+      const hashFiles = document.getElementById("verifyChecksums").checked;
+      const report = {
+        generatedAt: new Date().toISOString(),
+        rows: [],
+        counts: {
+          checked: 0,
+          current: 0,
+          upgrades: 0,
+          extended: 0,
+          unknown: 0,
+        },
+      };
 
-        if (seasonNumber === null) {
+      for (const [index, item] of items.entries()) {
+        if (this.state.operationCancelled) {
           this.writeOutput(
-            `Unknown arc '${arcTitle}' in '${fileName}'. Skipping.`,
+            `Upgrade check cancelled by user after ${index} of ${items.length} files`,
             "WARNING"
           );
-          continue;
-        }
-
-        const key = `${seasonNumber}-${episodeNumber}`;
-        if (!episodeLookup[key]) {
-          this.writeOutput(`No episode title for ${key}. Skipping.`, "WARNING");
-          continue;
+          this.setStatus("Operation cancelled");
+          return;
         }
 
-        const epTitle = episodeLookup[key];
-        const safeTitle = Utils.sanitizeFilename(epTitle);
-        const newName = `One Pace - S${seasonNumber
-          .toString()
-          .padStart(2, "0")}E${episodeNumber
-          .toString()
-          .padStart(2, "0")} - ${safeTitle}${fileExt}`;
-
-        if (fileName === newName) {
-          this.writeOutput(`Already correct: '${fileName}'`, "INFO");
-        } else {
-          this.writeOutput(
-            `Would rename '${fileName}' → '${newName}'`,
-            "SUCCESS"
+        if (!item.crc && item.file && hashFiles) {
+          this.updateProgress(
+            (index / items.length) * 100,
+            `Hashing ${item.name}`
           );
-          renamedCount++;
+          try {
+            item.crc = await ChecksumWorker.compute(item.file);
+          } catch (error) {
+            if (error.name === "AbortError") throw error;
+            this.writeOutput(
+              `Could not hash '${item.name}': ${error.message}`,
+              "WARNING",
+              { itemId: item.path }
+            );
+          }
         }
 
-        await Utils.sleep(50);
+        const { outdated, rows } = this.compareRelease(
+          item,
+          releases.get(item.key)
+        );
+        report.counts.checked++;
+        if (outdated === null) report.counts.unknown++;
+        else if (outdated) report.counts.upgrades++;
+        else report.counts.current++;
+        if (rows.some((row) => row.reason === "extended")) {
+          report.counts.extended++;
+        }
+        report.rows.push(...rows);
       }
+      this.updateProgress(100, "Upgrade check complete");
 
-      this.updateProgress(100, "Rename operation completed");
-      this.writeOutput(
-        `Processed ${processedCount} files, ${renamedCount} would be renamed`,
-        "SUCCESS"
-      );
+      this.state.upgradeReport = report;
+      this.renderUpgradeReport();
+
+      const { counts } = report;
       this.writeOutput(
-        "Note: This is a simulation - actual files are not modified in browser",
-        "INFO"
+        `Upgrade check: ${counts.checked} files checked, ${counts.upgrades} need an upgrade, ${counts.extended} have an extended cut available, ${counts.unknown} could not be compared`,
+        counts.upgrades > 0 ? "WARNING" : "SUCCESS"
       );
-      this.setStatus("File renaming completed");
+      this.setStatus("Upgrade checklist ready");
     } catch (error) {
-      this.writeOutput(
-        `Error during rename operation: ${error.message}`,
-        "ERROR"
-      );
-      this.setStatus("Rename operation failed");
+      if (error.name === "AbortError") {
+        this.writeOutput("Upgrade check cancelled by user", "WARNING");
+        this.setStatus("Operation cancelled");
+        return;
+      }
+      this.writeOutput(`Upgrade check failed: ${error.message}`, "ERROR");
+      this.setStatus("Upgrade check failed");
+    } finally {
+      stopBtn.disabled = true;
+      upgradeBtn.disabled = false;
+      upgradeBtn.textContent = originalText;
     }
   }
 
-  async applyOnePaceEdits() {
-    if (!this.state.selectedShow) {
-      this.writeOutput("No show selected. Search for the show first.", "ERROR");
-      return;
-    }
+  // Latest release CRCs and version per season-episode key. CRC columns are
+  // found by header, e.g. "MKV CRC32" or "Extended CRC32"
+  buildReleaseVersions(lookups) {
+    const releases = new Map();
 
-    const applyBtn = document.getElementById("applyBtn");
-    const stopBtn = document.getElementById("stopBtn");
-    const originalText = applyBtn.textContent;
+    Object.entries(this.buildReleaseLookup(lookups)).forEach(([key, row]) => {
+      const release = {
+        label: row["One Pace Episode"].trim(),
+        crcs: [],
+        version: null,
+      };
 
-    applyBtn.disabled = true;
-    stopBtn.disabled = false;
-    applyBtn.textContent = "Applying...";
+      Object.entries(row).forEach(([column, value]) => {
+        if (!value) return;
+        if (/crc/i.test(column)) {
+          const variant = /extended/i.test(column)
+            ? "Extended"
+            : /alt/i.test(column)
+            ? "Alternate"
+            : null;
+          (value.match(/\b[0-9a-f]{8}\b/gi) || []).forEach((crc) =>
+            release.crcs.push({ variant, crc: crc.toUpperCase() })
+          );
+        } else if (/\bversion\b/i.test(column)) {
+          const version = /\d+/.exec(value);
+          if (version) release.version = parseInt(version[0]);
+        }
+      });
 
-    this.state.operationCancelled = false;
+      if (release.crcs.length > 0 || release.version !== null) {
+        releases.set(key, release);
+      }
+    });
 
-    this.setStatus("Loading metadata from Google Sheets...");
-    this.writeOutput("Starting OnePace metadata updates...", "INFO");
-    this.updateProgress(0, "Loading Google Sheets data...");
+    return releases;
+  }
 
-    try {
-      // Load Google Sheets data if not already loaded
-      if (!this.state.seasonMappingData || !this.state.episodeData) {
-        const sheetsData = await this.api.googleSheets.getAllData();
-        this.state.seasonMappingData = sheetsData.seasonMapping;
-        this.state.episodeData = sheetsData.episodeData;
-        this.state.releaseData = sheetsData.releaseData;
-        this.writeOutput(
-          "Loaded season mapping and episode data from Google Sheets",
-          "SUCCESS"
-        );
-      }
+  collectDiskReleases(lookups) {
+    return this.state.processedFiles
+      .filter((file) =>
+        VIDEO_EXTENSIONS.includes(
+          file.name.substring(file.name.lastIndexOf(".")).toLowerCase()
+        )
+      )
+      .map((file) => {
+        const matched = this.matchMediaFile(file.name, lookups);
+        if (matched.error) return null;
+
+        const entry = this.state.fileHandles.get(file);
+        return {
+          source: "Disk",
+          name: file.name,
+          path: entry ? entry.path : file.webkitRelativePath || file.name,
+          file,
+          key: matched.key,
+          crc: matched.parsed.crc,
+          version: matched.parsed.version,
+          variant: matched.parsed.variant,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  collectLibraryReleases(showMetadata, lookups) {
+    const service = this.state.currentService;
+    const source =
+      service === "plex" ? "Plex" : MEDIA_SERVERS[service]?.name || service;
+    const items = [];
+
+    showMetadata.seasons.forEach((season) => {
+      season.episodes.forEach((episode) => {
+        if (!episode.file) return;
+
+        const name = episode.file.split(/[\\/]/).pop();
+        const matched = this.matchMediaFile(name, lookups);
+        const parsed = matched.error ? null : matched.parsed;
+        items.push({
+          source,
+          name,
+          path: episode.file,
+          file: null,
+          // The library numbering is the fallback for names we can't parse
+          key: parsed ? matched.key : `${season.number}-${episode.number}`,
+          crc: parsed?.crc || null,
+          version: parsed?.version ?? null,
+          variant: parsed?.variant || null,
+        });
+      });
+    });
 
-      this.updateProgress(20, "Getting show metadata...");
+    return items;
+  }
 
-      // Get show metadata
-      let showMetadata;
-      if (this.state.currentService === "plex") {
-        showMetadata = await this.api.plex.getShowMetadata(
-          this.state.selectedServer,
-          this.state.selectedShow.ratingKey
+  // outdated is true/false, or null if there is nothing to compare with.
+  // "extended" rows are informational and don't make a file outdated.
+  compareRelease(item, release) {
+    if (!release) return { outdated: null, rows: [] };
+
+    const [season, episode] = item.key.split("-").map(Number);
+    const row = (reason, latest, detail) => ({
+      done: false,
+      season,
+      episode,
+      release: release.label,
+      source: item.source,
+      path: item.path,
+      current: item.crc || (item.version ? `v${item.version}` : "unknown"),
+      latest,
+      reason,
+      detail,
+    });
+
+    const sameCut = release.crcs
+      .filter((entry) => entry.variant === item.variant)
+      .map((entry) => entry.crc);
+    const rows = [];
+    let outdated = null;
+
+    if (item.crc && sameCut.length > 0) {
+      outdated = !sameCut.includes(item.crc);
+      if (outdated) {
+        const cut = item.variant ? `${item.variant} cut` : "release";
+        rows.push(
+          row(
+            "re-edit",
+            sameCut.join(" / "),
+            `A newer ${cut} has been published`
+          )
         );
-      } else if (this.state.currentService === "jellyfin") {
-        showMetadata = await this.api.jellyfin.getShowMetadata(
-          this.state.selectedShow.id
+      }
+    } else if (release.version !== null && item.version !== null) {
+      outdated = item.version < release.version;
+      if (outdated) {
+        rows.push(
+          row(
+            "re-edit",
+            `v${release.version}`,
+            `v${item.version} has been superseded by v${release.version}`
+          )
         );
       }
+    }
 
-      this.writeOutput(
-        `Loaded metadata for ${showMetadata.seasons.length} seasons`,
-        "SUCCESS"
+    const extended = release.crcs
+      .filter((entry) => entry.variant === "Extended")
+      .map((entry) => entry.crc);
+    if (item.variant !== "Extended" && extended.length > 0) {
+      rows.push(
+        row(
+          "extended",
+          extended.join(" / "),
+          "An extended cut of this episode is available (optional)"
+        )
       );
+    }
 
-      // Get update options
-      const updateOptions = {
-        title: document.getElementById("updateTitle").checked,
-        seasonTitle: document.getElementById("updateSeasonTitle").checked,
-        description: document.getElementById("updateDescription").checked,
-        date: document.getElementById("updateDate").checked,
-        posters: document.getElementById("updatePosters").checked,
-        dryRun: document.getElementById("dryRun").checked,
-      };
-
-      // Build episode lookup
-      const titleToSeason = {};
-      this.state.seasonMappingData.forEach((row) => {
-        if (row.part && row.title_en) {
-          titleToSeason[row.title_en.toLowerCase().trim()] =
-            row.title_en === "Specials" ? 0 : parseInt(row.part);
-        }
-      });
-
-      const episodeLookup = {};
-      this.state.episodeData.forEach((row) => {
-        const arc = row.arc_title?.trim();
-        const epPart = row.arc_part;
-        const title = row.title_en;
-        const description = row.description_en;
-
-        if (!arc || !epPart || !title) return;
+    return { outdated, rows };
+  }
 
-        const seasonNum =
-          arc === "Specials" || arc === "One Piece Fan Letter"
-            ? 0
-            : titleToSeason[arc.toLowerCase()] || null;
+  renderUpgradeReport() {
+    const section = document.getElementById("upgradeSection");
+    const tableBody = document.getElementById("upgradeBody");
+    const summary = document.getElementById("upgradeSummary");
+    if (!section || !tableBody) return;
 
-        if (seasonNum !== null) {
-          const key = `${seasonNum}-${epPart}`;
-          episodeLookup[key] = { title, description };
-        }
-      });
+    const report = this.state.upgradeReport;
+    tableBody.innerHTML = "";
+    section.classList.toggle("hidden", !report);
+    if (!report) return;
 
-      this.updateProgress(40, "Processing seasons...");
+    const { counts } = report;
+    if (summary) {
+      summary.textContent = `${counts.upgrades} of ${counts.checked} files have a newer release, ${counts.extended} have an extended cut, ${counts.unknown} could not be compared`;
+    }
 
-      let totalUpdates = 0;
-      let seasonCount = 0;
+    if (report.rows.length === 0) {
+      const row = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 6;
+      cell.className = "diff-empty";
+      cell.textContent = "Every checked file is the latest release";
+      row.appendChild(cell);
+      tableBody.appendChild(row);
+      return;
+    }
 
-      for (const season of showMetadata.seasons) {
-        if (this.state.operationCancelled) {
-          this.writeOutput("Operation cancelled by user", "WARNING");
-          break;
-        }
+    report.rows.forEach((entry) => {
+      const row = document.createElement("tr");
 
-        seasonCount++;
-        this.updateProgress(
-          40 + (seasonCount / showMetadata.seasons.length) * 50,
-          `Processing season ${season.number}...`
-        );
+      const doneCell = document.createElement("td");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = entry.done;
+      checkbox.setAttribute("aria-label", `Mark ${entry.release} as upgraded`);
+      checkbox.addEventListener("change", () => {
+        entry.done = checkbox.checked;
+      });
+      doneCell.appendChild(checkbox);
+      row.appendChild(doneCell);
+
+      [
+        Utils.formatEpisodeCode(entry.season, entry.episode),
+        `${entry.source}: ${entry.path}`,
+        entry.current,
+        entry.latest,
+        entry.detail,
+      ].forEach((value, index) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        if (index === 4) cell.className = `upgrade-${entry.reason}`;
+        row.appendChild(cell);
+      });
+      tableBody.appendChild(row);
+    });
+  }
 
-        // Update season title
-        const seasonInfo = this.state.seasonMappingData.find(
-          (row) => row.part == season.number
-        );
-        if (
-          updateOptions.seasonTitle &&
-          seasonInfo &&
-          seasonInfo.title_en &&
-          seasonInfo.title_en !== season.title
-        ) {
-          if (updateOptions.dryRun) {
-            this.writeOutput(
-              `      [Dry Run] Would update Season ${season.number} title to '${seasonInfo.title_en}'`,
-              "INFO"
-            );
-          } else {
-            try {
-              if (this.state.currentService === "plex") {
-                await this.api.plex.updateMetadata(
-                  this.state.selectedServer,
-                  season.id,
-                  {
-                    title: seasonInfo.title_en,
-                  }
-                );
-              }
-              this.writeOutput(
-                `      Updated Season ${season.number} title to '${seasonInfo.title_en}'`,
-                "SUCCESS"
-              );
-              totalUpdates++;
-            } catch (error) {
-              this.writeOutput(
-                `      Failed to update Season ${season.number} title: ${error.message}`,
-                "ERROR"
-              );
-            }
-          }
-        }
+  exportUpgradeReport(format) {
+    const report = this.state.upgradeReport;
+    if (!report) return;
+
+    const date = Utils.formatDate(report.generatedAt);
+    if (format === "csv") {
+      const columns = [
+        "done",
+        "season",
+        "episode",
+        "release",
+        "source",
+        "path",
+        "current",
+        "latest",
+        "reason",
+        "detail",
+      ];
+      Utils.downloadFile(
+        Utils.toCSV(report.rows, columns),
+        `onepace-upgrades-${date}.csv`,
+        "text/csv"
+      );
+    } else {
+      const lines = report.rows.map((entry) => {
+        const mark = entry.done ? "x" : " ";
+        const code = Utils.formatEpisodeCode(entry.season, entry.episode);
+        return `- [${mark}] ${code} ${entry.release} - ${entry.detail} (${entry.source}: ${entry.path}, ${entry.current} -> ${entry.latest})`;
+      });
+      Utils.downloadFile(
+        `# One Pace upgrades (${date})\n\n${lines.join("\n")}\n`,
+        `onepace-upgrades-${date}.md`,
+        "text/markdown"
+      );
+    }
+    this.writeOutput(
+      `Exported upgrade checklist with ${report.rows.length} entries`,
+      "SUCCESS"
+    );
+  }
 
-        // Update season description
-        if (
-          updateOptions.description &&
-          seasonInfo &&
-          seasonInfo.description_en
-        ) {
-          if (updateOptions.dryRun) {
-            this.writeOutput(
-              `      [Dry Run] Would update Season ${season.number} description`,
-              "INFO"
-            );
-          } else {
-            try {
-              if (this.state.currentService === "plex") {
-                await this.api.plex.updateMetadata(
-                  this.state.selectedServer,
-                  season.id,
-                  {
-                    summary: seasonInfo.description_en,
-                  }
-                );
-              }
-              this.writeOutput(
-                `      Updated Season ${season.number} description`,
-                "SUCCESS"
-              );
-              totalUpdates++;
-            } catch (error) {
-              this.writeOutput(
-                `      Failed to update Season ${season.number} description: ${error.message}`,
-                "ERROR"
-              );
-            }
-          }
-        }
+  closeUpgradeReport() {
+    this.state.upgradeReport = null;
+    this.renderUpgradeReport();
+  }
 
-        // Process episodes
-        for (const episode of season.episodes) {
-          if (this.state.operationCancelled) break;
+  async uploadPosterAsset(poster, ratingKey, label, logDetails = {}) {
+    try {
+      const imageData = await this.state.assetIndex.archive.read(poster);
+      await this.api.plex.uploadPoster(
+        this.state.selectedServer,
+        ratingKey,
+        imageData
+      );
+      this.writeOutput(
+        `      Uploaded poster '${poster.name}' to ${label}`,
+        "SUCCESS",
+        logDetails
+      );
+      return true;
+    } catch (error) {
+      this.writeOutput(
+        `      Failed to upload poster to ${label}: ${error.message}`,
+        "ERROR",
+        logDetails
+      );
+      return false;
+    }
+  }
 
-          const key = `${season.number}-${episode.number}`;
-          const episodeData = episodeLookup[key];
+  async getDirectoryByPath(rootHandle, path, create = false) {
+    let directory = rootHandle;
+    for (const segment of path.split("/").filter(Boolean)) {
+      directory = await directory.getDirectoryHandle(segment, { create });
+    }
+    return directory;
+  }
 
-          if (!episodeData) {
-            this.writeOutput(
-              `No data found for S${season.number}E${episode.number}`,
-              "WARNING"
-            );
-            continue;
-          }
+  async undoLastRun() {
+    const run = UndoJournal.getLastRun();
+    if (!run) {
+      this.writeOutput("Nothing to undo", "INFO");
+      return;
+    }
 
-          const updates = {};
-          let willUpdate = false;
+    const startedAt = new Date(run.startedAt).toLocaleString();
+    if (run.type === "metadata") {
+      if (run.service !== this.state.currentService) {
+        this.writeOutput(
+          `Last run changed ${run.service} metadata - switch to the ${run.service} tab to undo it`,
+          "ERROR"
+        );
+        return;
+      }
+      if (
+        !this.state.selectedServer ||
+        (run.serverName && run.serverName !== this.state.selectedServer.name)
+      ) {
+        this.writeOutput(
+          `Select the server '${run.serverName}' to undo the last run`,
+          "ERROR"
+        );
+        return;
+      }
+    } else if (run.type === "rename") {
+      if (this.state.mediaDirectoryHandle?.name !== run.rootName) {
+        this.writeOutput(
+          `Open the folder '${run.rootName}' with write access to undo the last rename`,
+          "ERROR"
+        );
+        return;
+      }
+    }
 
-          if (updateOptions.title && episode.title !== episodeData.title) {
-            updates.title = episodeData.title;
-            willUpdate = true;
-          }
+    const confirmed = window.confirm(
+      `Undo the ${run.type} run from ${startedAt}?\n\n${run.entries.length} changes will be reverted.`
+    );
+    if (!confirmed) return;
 
-          if (updateOptions.description && episodeData.description) {
-            // Find release data for this episode
-            const releaseInfo = this.state.releaseData?.find((row) =>
-              row["One Pace Episode"]?.includes(
-                episode.number.toString().padStart(2, "0")
-              )
-            );
+    const undoBtn = document.getElementById("undoBtn");
+    undoBtn.disabled = true;
+    this.setStatus("Undoing last run...");
+    this.writeOutput(
+      `Undoing ${run.type} run from ${startedAt} (${run.entries.length} changes)...`,
+      "INFO"
+    );
 
-            let episodeDescription = episodeData.description;
-            if (releaseInfo) {
-              if (releaseInfo.Chapters)
-                episodeDescription += `\nChapters: ${releaseInfo.Chapters}`;
-              if (releaseInfo.Episodes)
-                episodeDescription += `\nEpisodes: ${releaseInfo.Episodes}`;
-            }
+    const failedEntries = [];
+    const entries = [...run.entries].reverse();
 
-            if (episode.summary !== episodeDescription) {
-              updates.summary = episodeDescription;
-              willUpdate = true;
-            }
-          }
+    for (const [index, entry] of entries.entries()) {
+      this.updateProgress(
+        ((index + 1) / entries.length) * 100,
+        `Reverting ${index + 1} of ${entries.length}...`
+      );
 
-          if (updateOptions.date) {
-            const releaseInfo = this.state.releaseData?.find((row) =>
-              row["One Pace Episode"]?.includes(
-                episode.number.toString().padStart(2, "0")
-              )
-            );
+      try {
+        if (run.type === "metadata") {
+          await this.updateItemMetadata(entry.itemId, entry.previous);
+          const fields = Object.keys(entry.previous).join("/");
+          this.writeOutput(
+            `      Restored ${entry.label}: ${fields}`,
+            "SUCCESS",
+            { itemId: entry.itemId }
+          );
+        } else {
+          const rootHandle = this.state.mediaDirectoryHandle;
+          const currentDirectory = await this.getDirectoryByPath(
+            rootHandle,
+            entry.newFolder
+          );
+          const originalDirectory = await this.getDirectoryByPath(
+            rootHandle,
+            entry.oldFolder,
+            true
+          );
 
-            if (
-              releaseInfo &&
-              releaseInfo["Release Date"] &&
-              !releaseInfo["Release Date"].includes("To Be Released") &&
-              episode.originallyAvailableAt !== releaseInfo["Release Date"]
-            ) {
-              updates.originallyAvailableAt = releaseInfo["Release Date"];
-              willUpdate = true;
-            }
+          if (await this.fileExists(originalDirectory, entry.oldName)) {
+            throw new Error(`'${entry.oldName}' already exists`);
           }
 
-          if (willUpdate) {
-            if (updateOptions.dryRun) {
-              const updateFields = Object.keys(updates);
-              this.writeOutput(
-                `      [Dry Run] Would update S${season.number
-                  .toString()
-                  .padStart(2, "0")}E${episode.number
-                  .toString()
-                  .padStart(2, "0")}: ${updateFields.join("/")}`,
-                "INFO"
-              );
-            } else {
-              try {
-                if (this.state.currentService === "plex") {
-                  await this.api.plex.updateMetadata(
-                    this.state.selectedServer,
-                    episode.id,
-                    updates
-                  );
-                }
-                const updateFields = Object.keys(updates);
-                this.writeOutput(
-                  `      Updated S${season.number
-                    .toString()
-                    .padStart(2, "0")}E${episode.number
-                    .toString()
-                    .padStart(2, "0")}: ${updateFields.join("/")}`,
-                  "SUCCESS"
-                );
-                totalUpdates++;
-                await Utils.sleep(100); // Rate limiting
-              } catch (error) {
-                this.writeOutput(
-                  `      Failed to update S${season.number
-                    .toString()
-                    .padStart(2, "0")}E${episode.number
-                    .toString()
-                    .padStart(2, "0")}: ${error.message}`,
-                  "ERROR"
-                );
-              }
-            }
-          } else {
-            this.writeOutput(
-              `      No updates needed for S${season.number
-                .toString()
-                .padStart(2, "0")}E${episode.number
-                .toString()
-                .padStart(2, "0")}`,
-              "INFO"
-            );
-          }
+          const handle = await currentDirectory.getFileHandle(entry.newName);
+          await this.moveFileHandle(
+            { handle, parent: currentDirectory },
+            originalDirectory,
+            entry.oldName
+          );
+          this.writeOutput(
+            `      Restored '${entry.newFolder}/${entry.newName}' → '${
+              entry.oldFolder ? `${entry.oldFolder}/` : ""
+            }${entry.oldName}'`,
+            "SUCCESS"
+          );
         }
-
-        await Utils.sleep(200); // Brief pause between seasons
+      } catch (error) {
+        failedEntries.unshift(entry);
+        this.writeOutput(
+          `      Failed to revert change: ${error.message}`,
+          "ERROR"
+        );
       }
+    }
 
-      this.updateProgress(100, "Updates completed");
-      this.writeOutput("--------------------------------", "INFO");
+    // Keep anything that could not be reverted so it can be retried
+    run.entries = failedEntries;
+    if (!UndoJournal.saveRun(run)) {
       this.writeOutput(
-        `Finished processing One Pace - ${totalUpdates} updates applied`,
-        "SUCCESS"
+        "Could not update the undo journal (storage full) - Undo may try these changes again",
+        "WARNING"
       );
-      this.writeOutput("--------------------------------", "INFO");
-      this.setStatus(`Completed - ${totalUpdates} updates applied`);
-    } catch (error) {
+    }
+
+    this.updateProgress(100, "Undo completed");
+    if (failedEntries.length > 0) {
       this.writeOutput(
-        `Error during update process: ${error.message}`,
-        "ERROR"
+        `Undo finished with ${failedEntries.length} failures - run Undo again to retry`,
+        "WARNING"
       );
-      this.setStatus("Update process failed");
-    } finally {
-      applyBtn.disabled = false;
-      stopBtn.disabled = true;
-      applyBtn.textContent = originalText;
-      this.updateUIState();
+      this.setStatus("Undo completed with errors");
+    } else {
+      this.writeOutput("Last run undone", "SUCCESS");
+      this.setStatus("Last run undone");
+    }
+    this.updateUIState();
+  }
+
+  async updateItemMetadata(itemId, updates) {
+    if (this.state.currentService === "plex") {
+      await this.api.plex.updateMetadata(
+        this.state.selectedServer,
+        itemId,
+        updates
+      );
+    } else if (MEDIA_SERVERS[this.state.currentService]) {
+      await this.api[this.state.currentService].updateMetadata(itemId, updates);
     }
   }
 
   clearOutput() {
+    this.state.logEntries = [];
     const outputLog = document.getElementById("outputLog");
     if (outputLog) {
       outputLog.textContent = "Output cleared.\n";
@@ -1516,6 +6105,8 @@ class OnePaceManager {
 
   stopOperation() {
     this.state.operationCancelled = true;
+    RequestScheduler.cancel();
+    ChecksumWorker.cancel();
     const stopBtn = document.getElementById("stopBtn");
     stopBtn.disabled = true;
     this.writeOutput("Cancelling operation...", "WARNING");
@@ -1526,17 +6117,55 @@ class OnePaceManager {
 // Global functions
 window.onePaceManager = null;
 
+window.refreshSheetsData = () =>
+  window.onePaceManager?.runOperation("sheets", "refreshSheetsData");
+window.exportSheetSnapshot = () => window.onePaceManager?.exportSheetSnapshot();
 window.switchTab = (tabName) => window.onePaceManager?.switchTab(tabName);
+window.saveProxySettings = () => window.onePaceManager?.saveProxySettings();
 window.getPlexToken = () => window.onePaceManager?.getPlexToken();
-window.testJellyfinConnection = () =>
-  window.onePaceManager?.testJellyfinConnection();
-window.getServers = () => window.onePaceManager?.getServers();
-window.searchShow = (service) => window.onePaceManager?.searchShow(service);
-window.downloadAssets = () => window.onePaceManager?.downloadAssets();
-window.extractAssets = () => window.onePaceManager?.extractAssets();
-window.renameMediaFiles = () => window.onePaceManager?.renameMediaFiles();
-window.applyOnePaceEdits = () => window.onePaceManager?.applyOnePaceEdits();
+window.linkPlexAccount = () => window.onePaceManager?.linkPlexAccount();
+window.testMediaServerConnection = (service) =>
+  window.onePaceManager?.testMediaServerConnection(service);
+window.signInMediaServer = (service) =>
+  window.onePaceManager?.signInMediaServer(service);
+window.getServers = () =>
+  window.onePaceManager?.runOperation("servers", "getServers");
+window.searchShow = (service) =>
+  window.onePaceManager?.runOperation("search", "searchShow", service);
+window.downloadAssets = () =>
+  window.onePaceManager?.runOperation("assets", "downloadAssets");
+window.extractAssets = () =>
+  window.onePaceManager?.runOperation("assets", "extractAssets");
+window.selectMediaFolder = () => window.onePaceManager?.selectMediaFolder();
+window.renameMediaFiles = () =>
+  window.onePaceManager?.runOperation("rename", "renameMediaFiles");
+window.exportNfoFiles = () =>
+  window.onePaceManager?.runOperation("nfo", "exportNfoFiles");
+window.applyOnePaceEdits = () =>
+  window.onePaceManager?.runOperation("metadata", "applyOnePaceEdits");
+window.dismissReviewList = () => window.onePaceManager?.dismissReviewList();
+window.addArcAlias = () => window.onePaceManager?.addArcAlias();
+window.selectAllChanges = (selected) =>
+  window.onePaceManager?.selectAllChanges(selected);
+window.discardChangePreview = () =>
+  window.onePaceManager?.discardChangePreview();
+window.generateHealthReport = () =>
+  window.onePaceManager?.runOperation("health", "generateHealthReport");
+window.exportHealthReport = () => window.onePaceManager?.exportHealthReport();
+window.closeHealthReport = () => window.onePaceManager?.closeHealthReport();
+window.checkForUpgrades = () =>
+  window.onePaceManager?.runOperation("upgrades", "checkForUpgrades");
+window.exportUpgradeReport = (format) =>
+  window.onePaceManager?.exportUpgradeReport(format);
+window.closeUpgradeReport = () => window.onePaceManager?.closeUpgradeReport();
+window.undoLastRun = () =>
+  window.onePaceManager?.runOperation("undo", "undoLastRun");
+window.resumeRun = () =>
+  window.onePaceManager?.runOperation("metadata", "resumeRun");
+window.discardCheckpoint = () => window.onePaceManager?.discardCheckpoint();
 window.clearOutput = () => window.onePaceManager?.clearOutput();
+window.exportOutputLog = (format) =>
+  window.onePaceManager?.exportOutputLog(format);
 window.stopOperation = () => window.onePaceManager?.stopOperation();
 
 // Initialize application
@@ -0,0 +1,55 @@
+// One Pace Manager - CRC32 Worker
+//
+// Hashes media files off the main thread. Files are read as a stream so
+// multi-gigabyte episodes never have to fit in memory.
+//
+// Messages in:  { id, file }
+// Messages out: { id, type: "progress", bytesRead, size }
+//               { id, type: "done", crc }      (8 uppercase hex digits)
+//               { id, type: "error", message }
+
+const PROGRESS_INTERVAL = 16 * 1024 * 1024;
+
+// Same polynomial as Utils.crc32 in app.js; workers can't share its table
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+async function hashFile(id, file) {
+  const reader = file.stream().getReader();
+  let value = 0xffffffff;
+  let bytesRead = 0;
+  let nextProgress = PROGRESS_INTERVAL;
+
+  for (;;) {
+    const { done, value: chunk } = await reader.read();
+    if (done) break;
+
+    for (let i = 0; i < chunk.length; i++) {
+      value = CRC_TABLE[(value ^ chunk[i]) & 0xff] ^ (value >>> 8);
+    }
+
+    bytesRead += chunk.length;
+    if (bytesRead >= nextProgress) {
+      self.postMessage({ id, type: "progress", bytesRead, size: file.size });
+      nextProgress += PROGRESS_INTERVAL;
+    }
+  }
+
+  const crc = (~value >>> 0).toString(16).toUpperCase().padStart(8, "0");
+  self.postMessage({ id, type: "done", crc });
+}
+
+self.onmessage = async (event) => {
+  const { id, file } = event.data;
+  try {
+    await hashFile(id, file);
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};
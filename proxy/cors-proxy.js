@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// One Pace Manager - Self-hosted CORS Proxy
+//
+// Forwards browser requests to an allowlist of hosts so Plex tokens and
+// Jellyfin API keys never pass through a third-party service.
+//
+// Usage:
+//   node proxy/cors-proxy.js
+//
+// Environment:
+//   PORT                    Port to listen on (default 8787)
+//   HOST                    Interface to bind (default 127.0.0.1)
+//   PROXY_ALLOWED_HOSTS     Extra hosts to allow, comma-separated, e.g.
+//                           "192.168.1.10,jellyfin.example.com:8096". Add your
+//                           Plex server here too, e.g. ".<hash>.plex.direct"
+//   PROXY_ALLOWED_ORIGINS   Origins allowed to use the proxy, comma-separated
+//                           (default: http://localhost and http://127.0.0.1
+//                           on any port). Add the app's origin if you serve
+//                           it from anywhere else
+//
+// Then set the proxy URL in the app to http://localhost:8787
+
+const http = require("http");
+
+const PORT = parseInt(process.env.PORT || "8787");
+const HOST = process.env.HOST || "127.0.0.1";
+const MAX_REDIRECTS = 5;
+
+// Hosts the app talks to; a leading "." also allows subdomains. Not
+// ".plex.direct": any <a-b-c-d>.<anything>.plex.direct name resolves to that
+// IP, so allowing it would open every LAN service to the proxy's callers.
+const DEFAULT_ALLOWED_HOSTS = [
+  "plex.tv",
+  ".plex.tv",
+  "docs.google.com",
+  ".googleusercontent.com",
+  "github.com",
+  "codeload.github.com",
+];
+
+const allowedHosts = [
+  ...DEFAULT_ALLOWED_HOSTS,
+  ...(process.env.PROXY_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+];
+
+const allowedOrigins = (process.env.PROXY_ALLOWED_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Without an explicit list only pages served from this machine may call in
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// Headers that describe the browser → proxy hop and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  "host",
+  "origin",
+  "referer",
+  "connection",
+  "keep-alive",
+  "transfer-encoding",
+  "upgrade",
+  "content-length",
+  "accept-encoding",
+];
+
+function isAllowedTarget(url) {
+  if (url.protocol !== "http:" && url.protocol !== "https:") return false;
+
+  const hostname = url.hostname.toLowerCase();
+  const hostWithPort = url.port ? `${hostname}:${url.port}` : hostname;
+
+  return allowedHosts.some((allowed) =>
+    allowed.startsWith(".")
+      ? hostname.endsWith(allowed)
+      : allowed === hostname || allowed === hostWithPort
+  );
+}
+
+function isAllowedOrigin(origin) {
+  if (!origin) return false;
+  return allowedOrigins.length === 0
+    ? LOCAL_ORIGIN.test(origin)
+    : allowedOrigins.includes(origin);
+}
+
+// Requests without an allowed Origin (including no-cors ones from other
+// sites, which send none) are refused rather than forwarded blind
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!isAllowedOrigin(origin)) return null;
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers":
+      req.headers["access-control-request-headers"] || "*",
+    "Access-Control-Expose-Headers": "*",
+    "Access-Control-Max-Age": "600",
+    Vary: "Origin",
+  };
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+}
+
+function sendError(res, headers, status, message) {
+  res.writeHead(status, { ...headers, "Content-Type": "text/plain" });
+  res.end(message);
+}
+
+async function forward(req, res, headers) {
+  const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+  const target = requestUrl.searchParams.get("url");
+
+  if (!target) {
+    return sendError(res, headers, 400, "Missing ?url= parameter");
+  }
+
+  let targetUrl;
+  try {
+    targetUrl = new URL(target);
+  } catch (error) {
+    return sendError(res, headers, 400, "Invalid target URL");
+  }
+
+  if (!isAllowedTarget(targetUrl)) {
+    return sendError(
+      res,
+      headers,
+      403,
+      `Host not allowed: ${targetUrl.host}. Add it to PROXY_ALLOWED_HOSTS.`
+    );
+  }
+
+  const forwardHeaders = {};
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (!HOP_BY_HOP_HEADERS.includes(name)) forwardHeaders[name] = value;
+  });
+
+  let method = req.method;
+  let body =
+    method === "GET" || method === "HEAD" ? undefined : await readBody(req);
+
+  // Follow redirects by hand so every hop is checked against the allowlist
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    response = await fetch(targetUrl, {
+      method,
+      headers: forwardHeaders,
+      body,
+      redirect: "manual",
+    });
+
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) break;
+
+    if (redirects >= MAX_REDIRECTS) {
+      return sendError(res, headers, 508, "Too many redirects");
+    }
+
+    // 303 means "fetch the result with GET"; 307/308 replay the request
+    if (response.status === 303 && method !== "HEAD") {
+      method = "GET";
+      body = undefined;
+      delete forwardHeaders["content-type"];
+    }
+
+    targetUrl = new URL(location, targetUrl);
+    if (!isAllowedTarget(targetUrl)) {
+      return sendError(
+        res,
+        headers,
+        403,
+        `Redirect to disallowed host: ${targetUrl.host}`
+      );
+    }
+  }
+
+  // fetch has already decoded the body, so drop the encoding headers. The
+  // proxy answers CORS itself; a second Allow-Origin would be rejected.
+  const responseHeaders = { ...headers };
+  response.headers.forEach((value, name) => {
+    if (
+      !name.startsWith("access-control-") &&
+      !HOP_BY_HOP_HEADERS.includes(name) &&
+      name !== "content-encoding"
+    ) {
+      responseHeaders[name] = value;
+    }
+  });
+
+  res.writeHead(response.status, responseHeaders);
+  if (response.body && req.method !== "HEAD") {
+    for await (const chunk of response.body) res.write(chunk);
+  }
+  res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+  const headers = corsHeaders(req);
+  if (!headers) {
+    return sendError(
+      res,
+      {},
+      403,
+      `Origin not allowed: ${
+        req.headers.origin || "none"
+      }. Add it to PROXY_ALLOWED_ORIGINS.`
+    );
+  }
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, headers);
+    return res.end();
+  }
+
+  try {
+    await forward(req, res, headers);
+  } catch (error) {
+    console.error(`Proxy error for ${req.url}: ${error.message}`);
+    if (!res.headersSent) {
+      sendError(res, headers, 502, `Proxy error: ${error.message}`);
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`One Pace CORS proxy listening on http://${HOST}:${PORT}`);
+  console.log(`Allowed hosts: ${allowedHosts.join(", ")}`);
+  console.log(
+    `Allowed origins: ${
+      allowedOrigins.length > 0 ? allowedOrigins.join(", ") : "localhost only"
+    }`
+  );
+});
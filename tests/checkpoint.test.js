@@ -0,0 +1,59 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const change = (itemId, field) => ({ itemId, field, proposed: "new" });
+
+function setup() {
+  const app = loadApp();
+  const manager = Object.create(app.OnePaceManager.prototype);
+  manager.state = {
+    logEntries: [],
+    currentService: "plex",
+    selectedServer: { name: "Home" },
+    selectedShow: { title: "One Pace" },
+  };
+  manager.updateProgress = () => {};
+  return { ...app, manager };
+}
+
+test("finishes a resumed run whose remaining items already match", async () => {
+  const { RunCheckpoint, manager } = setup();
+  const checkpoint = RunCheckpoint.create({ showKey: "plex:Home:1" }, [
+    change("A", "title"),
+    change("B", "summary"),
+  ]);
+  RunCheckpoint.markItem(checkpoint, "A", "done");
+
+  // B's write reached the server before Stop, so the rebuilt set is empty
+  const remaining = RunCheckpoint.getRemainingChanges(checkpoint, []);
+  await manager.applyChangeSet(remaining, checkpoint);
+
+  assert.strictEqual(remaining.length, 0);
+  assert.strictEqual(RunCheckpoint.get(), null);
+  assert.ok(
+    !manager.state.logEntries.some((entry) => entry.level === "WARNING")
+  );
+});
+
+test("keeps items that still differ pending on resume", () => {
+  const { RunCheckpoint } = setup();
+  const checkpoint = RunCheckpoint.create({ showKey: "plex:Home:1" }, [
+    change("A", "title"),
+    change("B", "summary"),
+    change("C", "title"),
+  ]);
+  RunCheckpoint.markItem(checkpoint, "C", "failed");
+
+  const remaining = RunCheckpoint.getRemainingChanges(checkpoint, [
+    change("C", "title"),
+  ]);
+
+  assert.strictEqual(remaining.length, 1);
+  assert.strictEqual(checkpoint.items.A, "done");
+  assert.strictEqual(checkpoint.items.B, "done");
+  assert.strictEqual(checkpoint.items.C, "failed");
+  assert.strictEqual(RunCheckpoint.isComplete(checkpoint), false);
+});
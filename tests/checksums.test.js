@@ -0,0 +1,60 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { Blob } = require("buffer");
+const { loadApp } = require("./load-app");
+
+// Like a worker whose script 404s: construction works, loading fails later
+class BrokenWorker {
+  postMessage() {
+    setTimeout(() => this.onerror({ message: "Failed to load" }), 0);
+  }
+}
+
+const { Utils, ChecksumWorker, OnePaceManager } = loadApp({
+  Worker: BrokenWorker,
+});
+
+test("falls back to hashing inline when the worker fails to load", async () => {
+  const file = new Blob(["123456789"]);
+
+  assert.strictEqual(await ChecksumWorker.compute(file), "CBF43926");
+  assert.strictEqual(ChecksumWorker.unavailable, true);
+  assert.strictEqual(await ChecksumWorker.compute(file), "CBF43926");
+});
+
+test("compares a file only with checksums for the same cut", async () => {
+  const manager = Object.create(OnePaceManager.prototype);
+  manager.state = {
+    logEntries: [],
+    seasonMappingData: [{ part: "1", title_en: "Romance Dawn" }],
+    episodeData: [],
+    checksumList: Utils.parseChecksumList(
+      [
+        "[One Pace][1] Romance Dawn 01 [1080p].mkv CBF43926",
+        "[One Pace][1] Romance Dawn 01 Extended [1080p].mkv 11111111",
+      ].join("\n")
+    ),
+  };
+  manager.writeOutput = () => {};
+
+  const lookups = manager.buildEpisodeLookups();
+  const index = manager.buildChecksumIndex(lookups);
+  const verify = (name) =>
+    manager.verifyMediaFile(
+      Object.assign(new Blob(["123456789"]), { name }),
+      { key: "1-1", parsed: manager.parseMediaFileName(name) },
+      index
+    );
+
+  const regular = await verify("Romance Dawn 01.mkv");
+  assert.strictEqual(regular.status, "ok");
+
+  const extended = await verify("Romance Dawn 01 (Extended).mkv");
+  assert.strictEqual(extended.status, "outdated");
+
+  // No alternate cut is listed, so there is nothing to call it outdated against
+  const alternate = await verify("Romance Dawn 01 (Alternate).mkv");
+  assert.strictEqual(alternate.status, "unverified");
+});
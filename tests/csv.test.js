@@ -0,0 +1,63 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp, readFixture } = require("./load-app");
+
+const { Utils } = loadApp();
+
+test("parses a sheet export with BOM, CRLF and quoted fields", () => {
+  const rows = Utils.parseCSV(readFixture("episode-sheet.csv"));
+
+  assert.strictEqual(rows.length, 4);
+  assert.deepStrictEqual(Object.keys(rows[0]), [
+    "arc_title",
+    "arc_part",
+    "title_en",
+    "description_en",
+  ]);
+  assert.strictEqual(
+    rows[0].title_en,
+    "Romance Dawn, the Dawn of an Adventure"
+  );
+  assert.strictEqual(
+    rows[0].description_en,
+    "Luffy sets out to sea, meets Koby, and frees Zoro."
+  );
+});
+
+test('unescapes "" inside quoted fields', () => {
+  const rows = Utils.parseCSV(readFixture("episode-sheet.csv"));
+  assert.strictEqual(
+    rows[1].description_en,
+    'Koby calls Luffy "the man in the straw hat".'
+  );
+});
+
+test("keeps line breaks inside quoted fields without shifting columns", () => {
+  const rows = Utils.parseCSV(readFixture("episode-sheet.csv"));
+
+  assert.strictEqual(
+    rows[2].description_en,
+    "First line.\nSecond line, with a comma."
+  );
+  assert.strictEqual(rows[3].arc_title, "Orange Town");
+  assert.strictEqual(rows[3].arc_part, "2");
+  assert.strictEqual(rows[3].title_en, "");
+});
+
+test("parses the release sheet with LF endings and no trailing newline", () => {
+  const rows = Utils.parseCSV(readFixture("release-sheet.csv"));
+
+  assert.strictEqual(rows.length, 3);
+  assert.strictEqual(rows[0].Episodes, "1, 3");
+  assert.strictEqual(rows[1]["Release Date"], "To Be Released");
+  assert.strictEqual(rows[2].Chapters, "8-10, 12");
+});
+
+test("rejects an unterminated quoted field", () => {
+  assert.throws(
+    () => Utils.parseCSV('a,b\n"open,1\n'),
+    /unterminated quoted field/
+  );
+});
@@ -0,0 +1,56 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const { OnePaceManager } = loadApp();
+const manager = Object.create(OnePaceManager.prototype);
+const parse = (fileName) => manager.parseMediaFileName(fileName);
+
+test("parses a release name with range, resolution and CRC tags", () => {
+  const parsed = parse("[One Pace][1-3] Romance Dawn 01 [1080p][A1B2C3D4].mkv");
+
+  assert.strictEqual(parsed.arc, "Romance Dawn");
+  assert.strictEqual(parsed.episodeNumber, 1);
+  assert.strictEqual(parsed.episodes, "1-3");
+  assert.strictEqual(parsed.resolution, "1080p");
+  assert.strictEqual(parsed.crc, "A1B2C3D4");
+});
+
+test("keeps a trailing number in the arc title", () => {
+  const parsed = parse("[One Pace] Water 7 01 [1080p].mkv");
+
+  assert.strictEqual(parsed.arc, "Water 7");
+  assert.strictEqual(parsed.episodeNumber, 1);
+  assert.strictEqual(parsed.title, null);
+});
+
+test("keeps a trailing number in the arc title before an episode title", () => {
+  const parsed = parse(
+    "[One Pace][432-435] Water 7 12 The Sea Train [720p].mkv"
+  );
+
+  assert.strictEqual(parsed.arc, "Water 7");
+  assert.strictEqual(parsed.episodeNumber, 12);
+  assert.strictEqual(parsed.title, "The Sea Train");
+});
+
+test("reads season and episode codes", () => {
+  const parsed = parse("One Pace - S08E03 - Luffy vs. Arlong (Extended).mkv");
+
+  assert.strictEqual(parsed.seasonNumber, 8);
+  assert.strictEqual(parsed.episodeNumber, 3);
+  assert.strictEqual(parsed.variant, "Extended");
+});
+
+test("returns null for names without an episode number", () => {
+  assert.strictEqual(parse("One Pace Trailer.mkv"), null);
+});
+
+test("reads an all-digit CRC tag as a CRC, not an episode range", () => {
+  const parsed = parse("[One Pace][1-3] Romance Dawn 01 [1080p][12345678].mkv");
+
+  assert.strictEqual(parsed.episodes, "1-3");
+  assert.strictEqual(parsed.crc, "12345678");
+});
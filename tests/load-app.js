@@ -0,0 +1,53 @@
+// Loads assets/js/app.js into a sandbox with just enough of the browser
+// globals for its top-level code, and returns the objects tests need.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const APP_PATH = path.join(__dirname, "..", "assets", "js", "app.js");
+
+// globals: extra browser APIs a test needs, e.g. a fake Worker
+function loadApp(globals = {}) {
+  const store = {};
+  const context = vm.createContext({
+    window: {},
+    document: {
+      addEventListener() {},
+      getElementById: () => null,
+    },
+    localStorage: {
+      getItem: (key) => (key in store ? store[key] : null),
+      setItem: (key, value) => {
+        store[key] = String(value);
+      },
+      removeItem: (key) => {
+        delete store[key];
+      },
+    },
+    console,
+    AbortController,
+    DOMException,
+    TextDecoder,
+    TextEncoder,
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    ...globals,
+  });
+
+  vm.runInContext(fs.readFileSync(APP_PATH, "utf8"), context, {
+    filename: APP_PATH,
+  });
+  return vm.runInContext(
+    "({ API_CONFIG, APP_CONFIG, Utils, Storage, RequestScheduler, SheetCache, RunCheckpoint, UndoJournal, FILE_PATTERNS, RENAME_PRESETS, RenameTemplate, ChecksumWorker, PlexAPI, JellyfinAPI, OnePaceManager })",
+    context
+  );
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+module.exports = { loadApp, readFixture };
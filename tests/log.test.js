@@ -0,0 +1,76 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+// Just enough of a <pre> for writeOutput: text nodes that can be removed
+function fakeLog() {
+  const log = {
+    childNodes: [],
+    scrollTop: 0,
+    scrollHeight: 0,
+    append(text) {
+      const node = {
+        text,
+        remove: () => log.childNodes.splice(log.childNodes.indexOf(node), 1),
+      };
+      log.childNodes.push(node);
+    },
+    get firstChild() {
+      return log.childNodes[0];
+    },
+  };
+  return log;
+}
+
+function setup() {
+  const outputLog = fakeLog();
+  const app = loadApp({
+    document: {
+      addEventListener() {},
+      getElementById: (id) => (id === "outputLog" ? outputLog : null),
+    },
+  });
+  const manager = Object.create(app.OnePaceManager.prototype);
+  manager.state = { logEntries: [] };
+  return { app, manager, outputLog };
+}
+
+test("caps the rendered log at the same size as the entries", () => {
+  const { app, manager, outputLog } = setup();
+  const max = app.APP_CONFIG.maxLogEntries;
+
+  for (let i = 0; i < max + 10; i++) manager.writeOutput(`line ${i}`);
+
+  assert.strictEqual(manager.state.logEntries.length, max);
+  assert.strictEqual(outputLog.childNodes.length, max);
+  assert.match(outputLog.firstChild.text, /line 10$/);
+});
+
+test("tags log entries with their own operation when operations overlap", async () => {
+  const { manager } = setup();
+  let resume;
+  manager.slowOperation = async function () {
+    this.writeOutput("slow started");
+    await new Promise((resolve) => (resume = resolve));
+    this.writeOutput("slow finished");
+  };
+  manager.quickOperation = async function () {
+    this.writeOutput("quick");
+  };
+
+  const slow = manager.runOperation("metadata", "slowOperation");
+  await manager.runOperation("rename", "quickOperation");
+  resume();
+  await slow;
+  manager.writeOutput("untagged");
+
+  const tags = manager.state.logEntries.map(
+    (entry) => `${entry.message}=${entry.operation}`
+  );
+  assert.strictEqual(
+    tags.join(),
+    "slow started=metadata,quick=rename,slow finished=metadata,untagged=null"
+  );
+});
@@ -0,0 +1,49 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const { Utils, PlexAPI, JellyfinAPI } = loadApp();
+
+// Records every request and answers with the given item
+function stubFetch(item = {}) {
+  const requests = [];
+  Utils.fetchWithCORS = async (url, options = {}) => {
+    requests.push({ url, ...options });
+    return { ok: true, json: async () => ({ ...item }) };
+  };
+  return requests;
+}
+
+const server = { scheme: "http", address: "plex.local", port: 32400 };
+
+test("Plex clears a date when undo restores an empty one", async () => {
+  const requests = stubFetch();
+  const plex = new PlexAPI();
+  await plex.updateMetadata(server, "42", { originallyAvailableAt: "" });
+
+  const params = new URL(requests[0].url).searchParams;
+  assert.strictEqual(params.get("originallyAvailableAt"), "");
+});
+
+test("Plex leaves the date alone when it isn't being updated", async () => {
+  const requests = stubFetch();
+  const plex = new PlexAPI();
+  await plex.updateMetadata(server, "42", { title: "Romance Dawn" });
+
+  const params = new URL(requests[0].url).searchParams;
+  assert.strictEqual(params.has("originallyAvailableAt"), false);
+});
+
+test("Jellyfin clears PremiereDate when undo restores an empty one", async () => {
+  const requests = stubFetch({ Name: "Episode", PremiereDate: "2024-01-01" });
+  const jellyfin = new JellyfinAPI();
+  jellyfin.serverUrl = "http://jellyfin.local";
+  jellyfin.userId = "user";
+  await jellyfin.updateMetadata("42", { originallyAvailableAt: "" });
+
+  const body = JSON.parse(requests[1].body);
+  assert.strictEqual(body.PremiereDate, null);
+  assert.strictEqual(body.Name, "Episode");
+});
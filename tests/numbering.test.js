@@ -0,0 +1,47 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+function setup(template) {
+  const elements = {
+    renameTemplate: { value: template, setAttribute() {} },
+    renameTemplatePreset: { value: "" },
+    renameTemplatePreview: { textContent: "" },
+    episodeNumbering: { value: "onepace" },
+  };
+  const app = loadApp({
+    document: {
+      addEventListener() {},
+      getElementById: (id) => elements[id] || null,
+    },
+  });
+
+  const manager = Object.create(app.OnePaceManager.prototype);
+  manager.logs = [];
+  manager.writeOutput = (message, level) =>
+    manager.logs.push({ message, level });
+  return { app, manager, elements };
+}
+
+test("switching to anime order swaps a preset template", () => {
+  const { app, manager, elements } = setup("");
+  elements.renameTemplate.value = app.RENAME_PRESETS.plex;
+
+  manager.setEpisodeNumbering("anime");
+
+  assert.strictEqual(elements.renameTemplate.value, app.RENAME_PRESETS.anime);
+  assert.strictEqual(app.RenameTemplate.get(), app.RENAME_PRESETS.anime);
+});
+
+test("switching to anime order keeps a custom template and warns", () => {
+  const custom = "{arc}/{arc} {ee} - {title}";
+  const { app, manager, elements } = setup(custom);
+
+  manager.setEpisodeNumbering("anime");
+
+  assert.strictEqual(elements.renameTemplate.value, custom);
+  assert.strictEqual(app.RenameTemplate.get(), app.RENAME_PRESETS.default);
+  assert.ok(manager.logs.some((entry) => entry.level === "WARNING"));
+});
@@ -0,0 +1,85 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const app = loadApp();
+const { RequestScheduler } = app;
+
+const failing = (status) => {
+  let calls = 0;
+  const task = async () => {
+    calls++;
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    error.retryAfter = 0;
+    throw error;
+  };
+  return { task, calls: () => calls };
+};
+
+test("retries a GET that fails with 503", async () => {
+  const { task, calls } = failing(503);
+  await assert.rejects(RequestScheduler.schedule(task), /HTTP 503/);
+  assert.strictEqual(calls(), 4);
+});
+
+test("doesn't retry a POST that fails with 503", async () => {
+  const { task, calls } = failing(503);
+  await assert.rejects(
+    RequestScheduler.schedule(task, { method: "POST" }),
+    /HTTP 503/
+  );
+  assert.strictEqual(calls(), 1);
+});
+
+test("retries a POST that was rate limited", async () => {
+  const { task, calls } = failing(429);
+  await assert.rejects(
+    RequestScheduler.schedule(task, { method: "POST" }),
+    /HTTP 429/
+  );
+  assert.strictEqual(calls(), 4);
+});
+
+test("cancel leaves requests marked not cancellable running", async () => {
+  let release;
+  const pending = RequestScheduler.schedule(
+    (signal) =>
+      new Promise((resolve, reject) => {
+        release = resolve;
+        signal.addEventListener("abort", () => reject(new Error("aborted")));
+      }),
+    { cancellable: false }
+  );
+
+  RequestScheduler.cancel();
+  release("pin");
+  assert.strictEqual(await pending, "pin");
+});
+
+test("retries a proxied request that fails with 503", async () => {
+  const urls = [];
+  const statuses = [503, 200];
+  const { API_CONFIG, Utils } = loadApp({
+    fetch: async (url) => {
+      urls.push(url);
+      // The direct request is blocked by CORS every time
+      if (!url.startsWith("http://proxy.local")) {
+        throw new TypeError("Failed to fetch");
+      }
+      const status = statuses.shift();
+      return {
+        ok: status < 400,
+        status,
+        headers: { get: () => "0" },
+      };
+    },
+  });
+  API_CONFIG.corsProxy = "http://proxy.local";
+
+  const response = await Utils.fetchWithCORS("http://plex.local/library");
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(urls.length, 4);
+});
@@ -0,0 +1,34 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const { SheetCache } = loadApp();
+
+// In-memory stand-in for the IndexedDB object store
+const records = new Map();
+SheetCache.transaction = async (mode, operation) =>
+  operation({
+    get: (key) => ({ result: records.get(key) }),
+    getAll: () => ({ result: [...records.values()] }),
+    put: (record) => ({ result: records.set(record.name, record) }),
+  }).result;
+
+const sheet = (name, hash) => ({ name, rows: [{ hash }], hash, fetchedAt: 1 });
+
+test("a live fetch doesn't overwrite the pinned snapshot", async () => {
+  for (const name of SheetCache.sheetNames) {
+    await SheetCache.putSnapshot(sheet(name, "known-good"));
+    await SheetCache.put(sheet(name, "live"));
+  }
+
+  const snapshot = await SheetCache.getSnapshot();
+  const live = await SheetCache.getAll();
+  for (const name of SheetCache.sheetNames) {
+    assert.strictEqual(snapshot[name].name, name);
+    assert.strictEqual(snapshot[name].hash, "known-good");
+    assert.strictEqual(live[name].hash, "live");
+  }
+  assert.strictEqual(Object.keys(live).length, SheetCache.sheetNames.length);
+});
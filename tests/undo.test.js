@@ -0,0 +1,76 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+// localStorage that refuses to grow the undo journal, like a full quota
+function fullJournalStorage() {
+  const store = {};
+  return {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      if (key === "onePace_undoJournal") {
+        throw new DOMException("Quota exceeded", "QuotaExceededError");
+      }
+      store[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete store[key];
+    },
+  };
+}
+
+test("a full journal doesn't turn a successful update into a failure", async () => {
+  const { RunCheckpoint, OnePaceManager } = loadApp({
+    localStorage: fullJournalStorage(),
+  });
+  const manager = Object.create(OnePaceManager.prototype);
+  manager.state = {
+    logEntries: [],
+    currentService: "plex",
+    selectedServer: { name: "Home" },
+    selectedShow: { title: "One Pace" },
+  };
+  manager.updateProgress = () => {};
+  let calls = 0;
+  manager.updateItemMetadata = async () => calls++;
+
+  const changes = [
+    {
+      itemId: "A",
+      label: "S01E01",
+      field: "title",
+      current: "",
+      proposed: "Romance Dawn",
+    },
+  ];
+  const checkpoint = RunCheckpoint.create({ showKey: "plex:Home:1" }, changes);
+  await manager.applyChangeSet(changes, checkpoint);
+
+  const levels = manager.state.logEntries.map((entry) => entry.level);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(levels.join(), "SUCCESS,WARNING");
+  assert.strictEqual(checkpoint.items.A, "done");
+});
+
+test("drops the oldest runs once the journal outgrows its size cap", () => {
+  const { UndoJournal } = loadApp();
+  UndoJournal.maxSize = 3000;
+
+  const ids = [];
+  for (let i = 0; i < 5; i++) {
+    const run = UndoJournal.startRun("metadata");
+    run.id = `run-${i}`;
+    ids.push(run.id);
+    assert.ok(
+      UndoJournal.record(run, {
+        itemId: i,
+        previous: { summary: "x".repeat(1000) },
+      })
+    );
+  }
+
+  const kept = UndoJournal.getRuns().map((run) => run.id);
+  assert.strictEqual(kept.join(), ids.slice(-2).join());
+});
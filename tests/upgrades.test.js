@@ -0,0 +1,54 @@
+// Run with: node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const { OnePaceManager } = loadApp();
+const manager = Object.create(OnePaceManager.prototype);
+
+const release = {
+  label: "Romance Dawn 01",
+  crcs: [
+    { variant: null, crc: "AAAAAAAA" },
+    { variant: "Extended", crc: "EEEEEEEE" },
+  ],
+  version: null,
+};
+const item = (crc, variant = null) => ({
+  source: "Disk",
+  path: "Season 01/file.mkv",
+  key: "1-1",
+  crc,
+  version: null,
+  variant,
+});
+
+test("a current regular cut is not outdated when an extended cut exists", () => {
+  const { outdated, rows } = manager.compareRelease(item("AAAAAAAA"), release);
+
+  assert.strictEqual(outdated, false);
+  assert.strictEqual(rows.map((row) => row.reason).join(), "extended");
+});
+
+test("an old regular cut is outdated", () => {
+  const { outdated, rows } = manager.compareRelease(item("12345678"), release);
+
+  assert.strictEqual(outdated, true);
+  assert.strictEqual(rows.map((row) => row.reason).join(), "re-edit,extended");
+});
+
+test("a current extended cut has nothing to report", () => {
+  const { outdated, rows } = manager.compareRelease(
+    item("EEEEEEEE", "Extended"),
+    release
+  );
+
+  assert.strictEqual(outdated, false);
+  assert.strictEqual(rows.length, 0);
+});
+
+test("a file without a CRC or version can't be compared", () => {
+  const { outdated } = manager.compareRelease(item(null), release);
+  assert.strictEqual(outdated, null);
+});